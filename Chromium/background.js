@@ -1,4 +1,50 @@
-// background.js – Handles extension icon clicks and content-script messages to open EPUB creator
+// background.js – Handles extension icon clicks, content-script messages to open EPUB creator,
+// periodic checks of watched creators for new posts, EPUB builds that run outside the UI tabs, and the batch queue
+
+import { fetchPostListPage } from './EpubGenerator.js';
+import { generateDynamicFilename } from './filenameGenerator.js';
+import { orderPosts } from './chapterOrder.js';
+import { getCreatorSettings, buildOptionsFromSettings, DEFAULT_FILENAME_PATTERN } from './creatorSettings.js';
+import { handleBuildHostCommand, onBuildUpdate } from './buildHost.js';
+import { downloadEpub, refreshSavedFile } from './epubOutput.js';
+import { recordDownload } from './downloadHistory.js';
+import {
+  WATCH_LIST_STORAGE_KEY,
+  WATCH_INTERVAL_STORAGE_KEY,
+  getWatchList,
+  isWatched,
+  watchCreator,
+  unwatchCreator,
+  markCreatorSeen,
+  recordCheckResult,
+  countUnread,
+  getWatchInterval,
+  isAutoBuildDue,
+  markAutoBuildStarted,
+  finishAutoBuild
+} from './watchList.js';
+import {
+  BUILD_QUEUE_STORAGE_KEY,
+  FINISHED_QUEUE_STATUSES,
+  getBuildQueue,
+  addQueueJobs,
+  updateQueueJob,
+  takeNextQueueJob,
+  requeueInterruptedJobs
+} from './buildQueue.js';
+
+const WATCH_ALARM_NAME = 'kemonoWatchCheck';
+const WATCH_NOTIFICATION_PREFIX = 'kemono-watch:';
+const BUILD_NOTIFICATION_PREFIX = 'kemono-build:';
+const QUEUE_NOTIFICATION_ID = 'kemono-queue';
+const POSTS_PER_PAGE = 50;
+
+// index.js decodes parameters with decodeURIComponent, so they are encoded the same way (no "+" for spaces).
+function creatorTabUrl(service, creatorId, creatorName, selectPostIds = []) {
+  let query = `service=${encodeURIComponent(service)}&id=${encodeURIComponent(creatorId)}&name=${encodeURIComponent(creatorName || '')}`;
+  if (selectPostIds.length > 0) query += `&select=${encodeURIComponent(selectPostIds.join(','))}`;
+  return chrome.runtime.getURL(`index.html?${query}`);
+}
 
 chrome.action.onClicked.addListener(async () => {
   try {
@@ -48,15 +94,424 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   // Existing listener for Creator Tab
   if (request.action === 'openEpubCreatorTab') {
     const { service, creatorId, creatorName } = request;
-    const encodedService = encodeURIComponent(service);
-    const encodedCreatorId = encodeURIComponent(creatorId);
-    const encodedCreatorName = encodeURIComponent(creatorName || '');
-    const url = chrome.runtime.getURL(
-      `index.html?service=${encodedService}&id=${encodedCreatorId}&name=${encodedCreatorName}`,
-    );
-
-    chrome.tabs.create({ url: url });
+    chrome.tabs.create({ url: creatorTabUrl(service, creatorId, creatorName) });
+    return true;
+  }
+
+  // Builds submitted and followed by EPUB creator tabs
+  if (request.action === 'submitBuild') {
+    startBackgroundBuild(request.job)
+      .then((build) => sendResponse({ build }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+  if (request.action === 'controlBuild') {
+    sendToBuildHost({ action: 'controlBuild', jobId: request.jobId, command: request.command })
+      .then((build) => sendResponse({ build }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+  if (request.action === 'listBuilds') {
+    sendToBuildHost({ action: 'listBuilds' })
+      .then((builds) => sendResponse({ builds: builds || [] }))
+      .catch(() => sendResponse({ builds: [] }));
+    return true;
+  }
+  // State changes of builds running in the offscreen document
+  if (request.action === 'buildUpdate') {
+    handleBuildUpdate(request.build);
+    return false;
+  }
+
+  // "Add to queue" button on the creator page
+  if (request.action === 'queueCreator') {
+    const { service, creatorId, creatorName } = request;
+    addQueueJobs([{ service, creatorId, creatorName, source: 'creator-page' }])
+      .then((added) => sendResponse({ queued: true, added: added.length }))
+      .catch((error) => sendResponse({ error: error.message }));
     return true;
   }
+
+  // Watch button on the creator page
+  if (request.action === 'getWatchStatus') {
+    isWatched(request.service, request.creatorId)
+      .then((watched) => sendResponse({ watched }))
+      .catch(() => sendResponse({ watched: false }));
+    return true;
+  }
+  if (request.action === 'setWatched') {
+    const { service, creatorId, creatorName, watched } = request;
+    const change = watched
+      ? watchCreator({ service, creatorId, creatorName })
+      : unwatchCreator(service, creatorId);
+    change
+      .then(() => sendResponse({ watched }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+});
+
+// --- WATCHED CREATORS ---
+
+async function ensureWatchAlarm(forceReset = false) {
+  const periodInMinutes = await getWatchInterval();
+  const existing = await chrome.alarms.get(WATCH_ALARM_NAME);
+  if (existing && existing.periodInMinutes === periodInMinutes && !forceReset) return;
+  await chrome.alarms.clear(WATCH_ALARM_NAME);
+  chrome.alarms.create(WATCH_ALARM_NAME, { delayInMinutes: 1, periodInMinutes });
+}
+
+async function updateBadge(list) {
+  const unread = countUnread(list || await getWatchList());
+  await chrome.action.setBadgeText({ text: unread > 0 ? String(unread) : '' });
+  if (unread > 0) await chrome.action.setBadgeBackgroundColor({ color: '#e8590c' });
+}
+
+// Creators are checked one after another, with EpubGenerator's API rate limiter. On Chromium that limiter is this
+// worker's own copy: builds run in the offscreen document with theirs, so a check during a build adds to its requests.
+async function checkWatchedCreators() {
+  const list = await getWatchList();
+  for (const entry of Object.values(list)) {
+    try {
+      const posts = await fetchPostsSinceLastCheck(entry);
+      const newPosts = await recordCheckResult(entry.service, entry.creatorId, posts);
+      if (newPosts.length > 0) notifyNewPosts(entry, newPosts);
+    } catch (error) {
+      console.warn(`Watch check failed for ${entry.service}/${entry.creatorId}:`, error);
+    }
+  }
+
+  const updated = await getWatchList();
+  for (const entry of Object.values(updated)) {
+    if (isAutoBuildDue(entry)) {
+      startAutoBuild(entry).catch((error) => console.warn(`Auto build failed to start for ${entry.service}/${entry.creatorId}:`, error));
+    }
+  }
+}
+
+// Reads list pages until one reaches a post known from the last check, so a burst of new posts is listed in full.
+// The first check only records the newest page.
+async function fetchPostsSinceLastCheck(entry) {
+  const known = new Set(entry.knownPostIds || []);
+  const posts = [];
+  const seen = new Set();
+  for (let offset = 0; ; offset += POSTS_PER_PAGE) {
+    const { posts: page } = await fetchPostListPage(entry.service, entry.creatorId, offset, POSTS_PER_PAGE);
+    page.filter((p) => !seen.has(p.id)).forEach((p) => {
+      seen.add(p.id);
+      posts.push(p);
+    });
+    if (!entry.knownPostIds || page.length < POSTS_PER_PAGE || page.some((p) => known.has(p.id))) return posts;
+  }
+}
+
+async function notifyNewPosts(entry, newPosts) {
+  const name = entry.creatorName || entry.creatorId;
+  // Re-read so the notification counts posts from earlier checks that are still unread.
+  const current = (await getWatchList())[`${entry.service}/${entry.creatorId}`];
+  const unread = current ? current.unreadPostIds.length : newPosts.length;
+  chrome.notifications.create(`${WATCH_NOTIFICATION_PREFIX}${entry.service}/${entry.creatorId}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `${unread} new post(s) from ${name}`,
+    message: newPosts.slice(0, 3).map((p) => p.title).join('\n') + (newPosts.length > 3 ? '\n…' : '')
+  });
+}
+
+// --- BACKGROUND BUILDS ---
+// Builds run outside the UI so closing the EPUB creator tab does not stop them. Chromium service workers
+// have no DOM, so builds run in an offscreen document there; Firefox's background page hosts them itself.
+
+const useOffscreenDocument = !!chrome.offscreen;
+const downloadBlobUrls = new Map(); // downloadId -> object URL to revoke once the download ends
+
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  return contexts.length > 0;
+}
+
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+  await chrome.offscreen.createDocument({
+    url: 'offscreen.html',
+    reasons: ['DOM_PARSER', 'BLOBS'],
+    justification: 'Builds EPUB files from Kemono posts in the background.'
+  });
+}
+
+// Resolves with the host's reply; without an offscreen document no build is running, so only startBuild creates one.
+async function sendToBuildHost(message) {
+  if (!useOffscreenDocument) return handleBuildHostCommand(message);
+  if (message.action === 'startBuild') {
+    await ensureOffscreenDocument();
+  } else if (!(await hasOffscreenDocument())) {
+    return null;
+  }
+  const reply = await chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+  if (reply && reply.error) throw new Error(reply.error);
+  return reply ? reply.result : null;
+}
+
+if (!useOffscreenDocument) {
+  // Firefox: the host runs in this page, whose own messages never reach it, so updates are handled directly.
+  onBuildUpdate((build) => {
+    chrome.runtime.sendMessage({ action: 'buildUpdate', build }).catch(() => {});
+    handleBuildUpdate(build);
+  });
+}
+
+function startBackgroundBuild(job) {
+  return sendToBuildHost({ action: 'startBuild', job });
+}
+
+function handleBuildUpdate(build) {
+  if (build.kind === 'queue') handleQueueBuildUpdate(build);
+  if (build.status === 'done') handleBuildDone(build);
+  else if (build.status === 'failed') handleBuildFailed(build, build.error);
+  else if (build.status === 'cancelled' && build.kind === 'auto') {
+    const { service, creatorId } = build.creatorInfo;
+    finishAutoBuild(service, creatorId, { postIds: build.postIds, error: 'Cancelled.' });
+  }
+}
+
+// Saves through the downloads API (subfolder and conflict policy from the output settings). If that fails, the tab
+// that submitted the build may still save it through FileSaver. Resolves with an error message, or null once saved.
+async function saveFinishedBuild(build) {
+  try {
+    const downloadId = await downloadEpub(build.blobUrl, build.fileName, build.creatorInfo);
+    downloadBlobUrls.set(downloadId, build.blobUrl);
+    return null;
+  } catch (error) {
+    console.warn(`Downloads API could not save ${build.fileName}:`, error);
+    const reply = await chrome.runtime.sendMessage({ action: 'saveBuildFallback', build }).catch(() => null);
+    releaseBlobUrl(build.blobUrl);
+    return reply && reply.saved ? null : `Download failed: ${error.message}`;
+  }
+}
+
+async function handleBuildDone(build) {
+  const { service, creatorId, creatorName } = build.creatorInfo;
+  // Each volume of a split build is saved (and, if need be, handed to the tab) like a book of its own.
+  const books = build.volumes || [build];
+  for (let i = 0; i < books.length; i++) {
+    const book = books[i];
+    const saveError = await saveFinishedBuild({ ...build, ...book });
+    if (saveError) {
+      books.slice(i + 1).forEach((rest) => releaseBlobUrl(rest.blobUrl));
+      await handleBuildFailed(build, saveError);
+      return;
+    }
+    await recordDownload({
+      creatorInfo: build.creatorInfo,
+      postIds: book.packedPostIds,
+      fileName: book.fileName,
+      options: build.buildOptions,
+      partial: build.partial && i === books.length - 1
+    }).catch((e) => console.warn('Could not record download history:', e));
+  }
+  if (build.kind === 'auto') {
+    // Posts left out of a stopped build stay pending for the next one.
+    const error = build.partial ? 'Stopped before all posts were built.' : null;
+    await finishAutoBuild(service, creatorId, { postIds: build.postIds, fileName: build.fileName, error });
+  }
+  // Queued jobs are summed up in one notification when the queue runs dry.
+  if (build.kind === 'queue') return;
+  chrome.notifications.create(`${BUILD_NOTIFICATION_PREFIX}${build.id}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `EPUB ready: ${creatorName || creatorId}`,
+    message: build.volumes
+      ? `${build.volumes.length} volumes (${build.postCount} post(s)), starting with ${build.fileName}`
+      : `${build.fileName} (${build.postCount} post(s))`
+  });
+}
+
+async function handleBuildFailed(build, errorMessage) {
+  const { service, creatorId, creatorName } = build.creatorInfo;
+  console.error(`Background build ${build.id} failed:`, errorMessage);
+  if (build.kind === 'auto') await finishAutoBuild(service, creatorId, { postIds: build.postIds, error: errorMessage });
+  if (build.kind === 'queue') {
+    if (errorMessage !== build.error) await updateQueueJobForBuild(build, { status: 'failed', error: errorMessage, message: errorMessage });
+    return;
+  }
+  chrome.notifications.create(`${BUILD_NOTIFICATION_PREFIX}${build.id}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: `EPUB build failed: ${creatorName || creatorId}`,
+    message: errorMessage || 'Unknown error'
+  });
+}
+
+function releaseBlobUrl(blobUrl) {
+  sendToBuildHost({ action: 'revokeBlobUrl', blobUrl }).catch(() => {});
+}
+
+chrome.downloads.onChanged.addListener((delta) => {
+  if (delta.state || delta.filename) refreshSavedFile(delta.id).catch(() => {});
+  if (!delta.state || !downloadBlobUrls.has(delta.id)) return;
+  if (delta.state.current === 'complete' || delta.state.current === 'interrupted') {
+    releaseBlobUrl(downloadBlobUrls.get(delta.id));
+    downloadBlobUrls.delete(delta.id);
+  }
+});
+
+// --- AUTOMATIC BUILDS ---
+
+// Builds the watched creator's pending posts with the settings saved for that creator in the EPUB creator tab.
+async function startAutoBuild(entry) {
+  const { service, creatorId, creatorName } = entry;
+  const settings = await getCreatorSettings(service, creatorId);
+  const filter = settings.filter || {};
+
+  let posts = entry.pendingBuildPosts;
+  if (filter.tag || filter.q) {
+    posts = await filterPendingPosts(service, creatorId, posts, filter);
+    if (posts.length === 0) {
+      // None of the pending posts pass the creator's filter; nothing to build.
+      await finishAutoBuild(service, creatorId, { postIds: entry.pendingBuildPosts.map((p) => p.id) });
+      return;
+    }
+  }
+  posts = orderPosts(posts, settings.chapterOrder);
+
+  const job = {
+    id: `auto-${service}-${creatorId}-${Date.now()}`,
+    kind: 'auto',
+    creatorInfo: { service, creatorId, creatorName },
+    stubs: posts,
+    postIds: entry.pendingBuildPosts.map((p) => p.id),
+    options: {
+      ...buildOptionsFromSettings(service, creatorId, settings),
+      fileName: generateDynamicFilename(creatorName, posts, settings.filenamePattern || DEFAULT_FILENAME_PATTERN, {
+        service,
+        tag: settings.filter?.tag,
+        book: settings.bookMetadata,
+        titleRules: settings.titleRules
+      })
+    }
+  };
+  await markAutoBuildStarted(service, creatorId);
+  await startBackgroundBuild(job);
+}
+
+// Reads the filtered listing (newest first) until every pending post has turned up or the listing has passed the
+// oldest of them; pending posts not found by then don't match the filter.
+async function filterPendingPosts(service, creatorId, pending, filter) {
+  const pendingIds = new Set(pending.map((p) => p.id));
+  const oldest = Math.min(...pending.map((p) => new Date(p.published).getTime()));
+  const matchingIds = new Set();
+  for (let offset = 0; ; offset += POSTS_PER_PAGE) {
+    const { posts: page } = await fetchPostListPage(service, creatorId, offset, POSTS_PER_PAGE, filter);
+    page.filter((p) => pendingIds.has(p.id)).forEach((p) => matchingIds.add(p.id));
+    const last = page[page.length - 1];
+    if (page.length < POSTS_PER_PAGE || matchingIds.size === pendingIds.size) break;
+    if (last && new Date(last.published).getTime() < oldest) break;
+  }
+  return pending.filter((p) => matchingIds.has(p.id));
+}
+
+// --- BATCH QUEUE ---
+// One queued job runs at a time; a job is picked up whenever the stored queue changes or a build finishes.
+
+let queueStarting = false;
+
+async function processBuildQueue() {
+  if (queueStarting) return;
+  queueStarting = true;
+  try {
+    const job = await takeNextQueueJob();
+    if (!job) return;
+    const { service, creatorId, creatorName } = job;
+    const settings = await getCreatorSettings(service, creatorId);
+    // Jobs queued from the EPUB creator tab carry their posts and options; the rest build every post with saved settings.
+    const hostJob = {
+      id: job.buildId,
+      kind: 'queue',
+      creatorInfo: { service, creatorId, creatorName },
+      stubs: job.stubs,
+      options: job.options || buildOptionsFromSettings(service, creatorId, settings),
+      allPosts: !job.stubs,
+      filenamePattern: settings.filenamePattern
+    };
+    try {
+      await startBackgroundBuild(hostJob);
+    } catch (error) {
+      await updateQueueJob(job.id, { status: 'failed', error: error.message, message: error.message, finishedAt: Date.now() });
+    }
+  } finally {
+    queueStarting = false;
+  }
+}
+
+function updateQueueJobForBuild(build, changes) {
+  return updateQueueJob((j) => j.buildId === build.id, changes);
+}
+
+// Progress stays in the build updates that the queue view listens to; only names and outcomes are stored.
+async function handleQueueBuildUpdate(build) {
+  if (!FINISHED_QUEUE_STATUSES.includes(build.status)) {
+    await updateQueueJobForBuild(build, { fileName: build.fileName, creatorName: build.creatorInfo.creatorName });
+    return;
+  }
+  await updateQueueJobForBuild(build, {
+    status: build.status,
+    message: build.partial ? 'Stopped early – partial EPUB saved.' : build.message,
+    error: build.error,
+    fileName: build.fileName,
+    creatorName: build.creatorInfo.creatorName,
+    finishedAt: Date.now()
+  });
+  const queue = await getBuildQueue();
+  if (queue.some((j) => !FINISHED_QUEUE_STATUSES.includes(j.status))) return;
+  const finished = queue.filter((j) => j.status === 'done').length;
+  const failed = queue.filter((j) => j.status === 'failed').length;
+  chrome.notifications.create(QUEUE_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: 'EPUB queue finished',
+    message: `${finished} EPUB(s) built${failed > 0 ? `, ${failed} failed` : ''}.`
+  });
+}
+
+// Without a live build host (browser restart, Firefox background page reload) no queued job can still be running.
+// A live offscreen document reports its own jobs when they finish.
+async function recoverBuildQueue() {
+  if (!useOffscreenDocument || !(await hasOffscreenDocument())) await requeueInterruptedJobs();
+  await processBuildQueue();
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCH_ALARM_NAME) checkWatchedCreators();
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId === QUEUE_NOTIFICATION_ID) {
+    chrome.notifications.clear(notificationId);
+    chrome.tabs.create({ url: chrome.runtime.getURL('queue.html'), active: true });
+    return;
+  }
+  if (!notificationId.startsWith(WATCH_NOTIFICATION_PREFIX)) return;
+  chrome.notifications.clear(notificationId);
+  const [service, creatorId] = notificationId.substring(WATCH_NOTIFICATION_PREFIX.length).split('/');
+  const entry = (await getWatchList())[`${service}/${creatorId}`];
+  if (!entry) return;
+  chrome.tabs.create({ url: creatorTabUrl(service, creatorId, entry.creatorName, entry.unreadPostIds), active: true });
+  await markCreatorSeen(service, creatorId);
 });
 
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes[WATCH_LIST_STORAGE_KEY]) updateBadge(changes[WATCH_LIST_STORAGE_KEY].newValue || {});
+  if (changes[WATCH_INTERVAL_STORAGE_KEY]) ensureWatchAlarm(true);
+  if (changes[BUILD_QUEUE_STORAGE_KEY]) processBuildQueue();
+});
+
+chrome.runtime.onInstalled.addListener(() => ensureWatchAlarm());
+chrome.runtime.onStartup.addListener(() => {
+  ensureWatchAlarm();
+  updateBadge();
+});
+
+// Runs whenever the worker (re)starts, including after a browser restart.
+recoverBuildQueue();
+
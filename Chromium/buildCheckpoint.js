@@ -0,0 +1,127 @@
+// buildCheckpoint.js
+// Saves each processed post of a running build to IndexedDB so an interrupted build can be resumed.
+
+import { STORES, withStore } from "./kemonoDb.js";
+
+// Each build has its own checkpoint, so builds of one creator running side by side don't overwrite each other.
+function jobKeyFor(service, creatorId, buildId) {
+  return `${service}/${creatorId}/${buildId}`;
+}
+
+function creatorRange(service, creatorId) {
+  return IDBKeyRange.bound(`${service}/${creatorId}/`, `${service}/${creatorId}/\uffff`);
+}
+
+function postRange(jobKey) {
+  // Array keys sort after every string, so [jobKey, []] bounds all [jobKey, postId] keys.
+  return IDBKeyRange.bound([jobKey], [jobKey, []]);
+}
+
+/**
+ * Returns the most recently updated unfinished build saved for a creator, or null.
+ * @returns {Promise<object|null>} { key, buildId, service, creatorId, creatorName, stubs, options, createdAt, updatedAt,
+ *   completed }
+ */
+export async function findUnfinishedBuild(service, creatorId) {
+  try {
+    const jobs = await withStore(STORES.BUILD_JOBS, "readonly", store => store.getAll(creatorRange(service, creatorId)));
+    // A checkpoint keyed "service/creatorId" alone, without a build id, is looked up as well.
+    const legacy = await withStore(STORES.BUILD_JOBS, "readonly", store => store.get(`${service}/${creatorId}`));
+    if (legacy) jobs.push(legacy);
+    return jobs.reduce((latest, job) => (!latest || job.updatedAt > latest.updatedAt ? job : latest), null);
+  } catch (e) {
+    console.warn("Could not read build checkpoint:", e);
+    return null;
+  }
+}
+
+// Returns the unfinished build saved under a checkpoint key, or null.
+export async function loadUnfinishedBuild(key) {
+  try {
+    const job = await withStore(STORES.BUILD_JOBS, "readonly", store => store.get(key));
+    return job || null;
+  } catch (e) {
+    console.warn("Could not read build checkpoint:", e);
+    return null;
+  }
+}
+
+export class BuildCheckpoint {
+  constructor(job) {
+    this.job = job;
+  }
+
+  /**
+   * Starts a fresh checkpoint for a build.
+   * @param {object} job - { buildId, service, creatorId, creatorName, stubs: [{id, title, published, originalOffset}],
+   *   options }
+   */
+  static async start(job) {
+    const now = Date.now();
+    const checkpoint = new BuildCheckpoint({
+      ...job,
+      key: jobKeyFor(job.service, job.creatorId, job.buildId),
+      createdAt: now,
+      updatedAt: now,
+      completed: 0
+    });
+    await checkpoint.discard();
+    await checkpoint._saveJob();
+    return checkpoint;
+  }
+
+  // Continues a job returned by findUnfinishedBuild, keeping its saved posts.
+  static async resume(job) {
+    const checkpoint = new BuildCheckpoint({ ...job, updatedAt: Date.now() });
+    await checkpoint._saveJob();
+    return checkpoint;
+  }
+
+  _saveJob() {
+    return withStore(STORES.BUILD_JOBS, "readwrite", store => store.put(this.job));
+  }
+
+  async listPostIds() {
+    try {
+      const keys = await withStore(STORES.BUILD_POSTS, "readonly", store => store.getAllKeys(postRange(this.job.key)));
+      return new Set(keys.map(key => key[1]));
+    } catch (e) {
+      console.warn("Could not list checkpointed posts:", e);
+      return new Set();
+    }
+  }
+
+  async loadPost(postId) {
+    try {
+      const record = await withStore(STORES.BUILD_POSTS, "readonly", store => store.get([this.job.key, String(postId)]));
+      return record || null;
+    } catch (e) {
+      console.warn(`Could not load checkpointed post ${postId}:`, e);
+      return null;
+    }
+  }
+
+  /**
+   * Saves a processed post. Failures (e.g. storage quota) only cost the ability to resume, so they are logged, not thrown.
+   * @param {object} record - { post, updatedHtml, imagesToPackage, importedBooks: [{name, blob}] }
+   */
+  async savePost(postId, record) {
+    try {
+      await withStore(STORES.BUILD_POSTS, "readwrite", store => store.put(record, [this.job.key, String(postId)]));
+      this.job.completed++;
+      this.job.updatedAt = Date.now();
+      await this._saveJob();
+    } catch (e) {
+      console.warn(`Could not checkpoint post ${postId}:`, e);
+    }
+  }
+
+  async discard() {
+    try {
+      await withStore(STORES.BUILD_POSTS, "readwrite", store => store.delete(postRange(this.job.key)));
+      await withStore(STORES.BUILD_JOBS, "readwrite", store => store.delete(this.job.key));
+    } catch (e) {
+      console.warn("Could not discard build checkpoint:", e);
+    }
+  }
+}
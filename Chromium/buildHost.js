@@ -0,0 +1,216 @@
+// buildHost.js
+// Runs EPUB builds away from the UI: inside the offscreen document on Chromium, or the background page on Firefox.
+// UI pages submit jobs and follow them through "buildUpdate" messages, so a build outlives the tab that started it.
+
+import { generateKemonoEpubVolumes, BuildController, fetchPostListPage, fetchCreatorProfile } from "./EpubGenerator.js";
+import { BuildCheckpoint, loadUnfinishedBuild } from "./buildCheckpoint.js";
+import { generateDynamicFilename } from "./filenameGenerator.js";
+import { DEFAULT_FILENAME_PATTERN } from "./creatorSettings.js";
+import { summarizeBuildOptions } from "./downloadHistory.js";
+import { orderPosts } from "./chapterOrder.js";
+
+const POSTS_PER_PAGE = 50;
+
+export const FINISHED_BUILD_STATUSES = ["done", "failed", "cancelled"];
+
+const builds = new Map(); // job id -> { job, controller, state }
+const updateListeners = new Set();
+
+export function onBuildUpdate(listener) {
+  updateListeners.add(listener);
+  return () => updateListeners.delete(listener);
+}
+
+function updateBuild(entry, changes) {
+  Object.assign(entry.state, changes, { updatedAt: Date.now() });
+  if (FINISHED_BUILD_STATUSES.includes(entry.state.status)) builds.delete(entry.state.id);
+  const snapshot = { ...entry.state };
+  updateListeners.forEach(listener => listener(snapshot));
+}
+
+/**
+ * Starts a build and returns its initial state; later states go to the onBuildUpdate listeners.
+ * @param {object} job - { id, kind: "manual"|"auto"|"queue", creatorInfo: {service, creatorId, creatorName}, stubs,
+ *   options, postIds?, checkpointKey?, allPosts?, filenamePattern? }. With checkpointKey the stubs and options are read
+ *   from the BuildCheckpoint saved under that key instead (this also carries files such as the base EPUB, which
+ *   messages cannot). With allPosts every post passing the options' filter is listed first and named with filenamePattern
+ *   (a preset id or template).
+ * @returns {object} { id, kind, creatorInfo, postIds, postCount, fileName, status: "running"|"paused"|"stopping"|
+ *   "done"|"failed"|"cancelled", progress, message, error, partial, blobUrl, startedAt, updatedAt }. Once done it also
+ *   has packedPostIds (the posts in the book) and buildOptions, for the download history. A build split into volumes
+ *   (options.volumeSplit) lists them as volumes: [{ fileName, blobUrl, packedPostIds }]; its fileName and blobUrl
+ *   are the first volume's.
+ */
+export function startHostedBuild(job) {
+  if (builds.has(job.id)) return { ...builds.get(job.id).state };
+  const entry = {
+    job,
+    controller: new BuildController(),
+    state: {
+      id: job.id,
+      kind: job.kind,
+      creatorInfo: job.creatorInfo,
+      postIds: job.postIds || null,
+      postCount: job.stubs ? job.stubs.length : 0,
+      fileName: job.options?.fileName || "",
+      status: "running",
+      progress: 0,
+      message: "Starting EPUB generation...",
+      error: null,
+      partial: false,
+      blobUrl: null,
+      startedAt: Date.now(),
+      updatedAt: Date.now()
+    }
+  };
+  builds.set(job.id, entry);
+  runBuild(entry);
+  return { ...entry.state };
+}
+
+async function runBuild(entry) {
+  const { job, controller } = entry;
+  let { creatorInfo, stubs, options } = job;
+  let checkpoint = null;
+  try {
+    if (job.allPosts) {
+      ({ creatorInfo, stubs, options } = await listAllPosts(entry));
+    } else if (job.checkpointKey) {
+      const saved = await loadUnfinishedBuild(job.checkpointKey);
+      if (!saved) throw new Error("The saved build could not be found.");
+      checkpoint = await BuildCheckpoint.resume(saved);
+      ({ stubs, options } = saved);
+      updateBuild(entry, { postCount: stubs.length, fileName: options.fileName || entry.state.fileName });
+    }
+
+    const books = await generateKemonoEpubVolumes(
+      creatorInfo,
+      stubs,
+      { ...options, controller, checkpoint, save: false },
+      (currentProgress, message) => {
+        updateBuild(entry, {
+          progress: currentProgress >= 0 ? currentProgress : entry.state.progress,
+          message
+        });
+      }
+    );
+    // A partial save keeps the checkpoint so the rest of the book can still be resumed.
+    const partial = controller.signal.aborted;
+    if (checkpoint && !partial) await checkpoint.discard();
+    const volumes = books.map(({ blob, fileName, postIds }) => ({
+      fileName,
+      blobUrl: URL.createObjectURL(blob),
+      packedPostIds: postIds
+    }));
+    updateBuild(entry, {
+      status: "done",
+      partial,
+      ...volumes[0],
+      volumes: volumes.length > 1 ? volumes : null,
+      buildOptions: summarizeBuildOptions(options),
+      progress: 100,
+      message: partial
+        ? "Partial EPUB saved – the remaining posts can be resumed later."
+        : volumes.length > 1
+          ? `${volumes.length} volumes generated and downloads started!`
+          : "EPUB generated and download started!"
+    });
+  } catch (err) {
+    if (err.name === "AbortError") {
+      if (checkpoint && !controller.savePartial) await checkpoint.discard();
+      updateBuild(entry, { status: "cancelled", message: "Cancelled." });
+    } else {
+      console.error(`EPUB build ${job.id} failed:`, err);
+      const message = err.message || "Failed to generate EPUB.";
+      updateBuild(entry, { status: "failed", error: message, message: `Error: ${message.substring(0, 50)}...` });
+    }
+  }
+}
+
+// Whole-creator jobs list their posts here rather than in the caller, so a long listing runs under the build's controls.
+async function listAllPosts(entry) {
+  const { job, controller } = entry;
+  const { service, creatorId } = job.creatorInfo;
+  let creatorName = job.creatorInfo.creatorName;
+  if (!creatorName) {
+    creatorName = (await fetchCreatorProfile(service, creatorId)).creatorName || creatorId;
+  }
+  const filter = { q: job.options.customQ, tag: job.options.tagFilter };
+
+  const posts = [];
+  const seen = new Set();
+  for (let offset = 0; ; offset += POSTS_PER_PAGE) {
+    await controller.checkpoint();
+    const { posts: page } = await fetchPostListPage(service, creatorId, offset, POSTS_PER_PAGE, filter);
+    page.filter(p => !seen.has(p.id)).forEach(p => {
+      seen.add(p.id);
+      posts.push(p);
+    });
+    updateBuild(entry, { message: `Listing posts: ${posts.length} found...` });
+    if (page.length < POSTS_PER_PAGE) break;
+  }
+  if (posts.length === 0) throw new Error("No posts found for this creator.");
+  const ordered = orderPosts(posts, job.options.chapterOrder);
+
+  const fileName = job.options.fileName ||
+    generateDynamicFilename(creatorName, ordered, job.filenamePattern || DEFAULT_FILENAME_PATTERN, {
+      service,
+      tag: job.options.tagFilter,
+      book: job.options.bookMetadata,
+      titleRules: job.options.titleRules
+    });
+  const creatorInfo = { service, creatorId, creatorName };
+  updateBuild(entry, { creatorInfo, postCount: posts.length, fileName });
+  return { creatorInfo, stubs: ordered, options: { ...job.options, fileName } };
+}
+
+/**
+ * Pauses, resumes or stops a running build.
+ * @param {"pause"|"resume"|"cancel"|"stop"} command - "stop" saves the chapters finished so far.
+ * @returns {object|null} The build's state, or null if it is not running here.
+ */
+export function controlHostedBuild(jobId, command) {
+  const entry = builds.get(jobId);
+  if (!entry) return null;
+  const { controller } = entry;
+  if (controller.signal.aborted) return { ...entry.state };
+
+  if (command === "pause") {
+    controller.pause();
+    updateBuild(entry, { status: "paused", message: "Paused – requests already running will finish first." });
+  } else if (command === "resume") {
+    controller.resume();
+    updateBuild(entry, { status: "running", message: "Resuming..." });
+  } else if (command === "cancel" || command === "stop") {
+    const savePartial = command === "stop";
+    controller.cancel({ savePartial });
+    updateBuild(entry, { status: "stopping", message: savePartial ? "Stopping – saving finished chapters..." : "Cancelling..." });
+  }
+  return { ...entry.state };
+}
+
+// States of the builds still running here; finished builds are only reported through updates.
+export function listHostedBuilds() {
+  return [...builds.values()].map(entry => ({ ...entry.state }));
+}
+
+export function revokeBuildUrl(blobUrl) {
+  URL.revokeObjectURL(blobUrl);
+}
+
+// Entry point for host commands, whether they arrive as messages (offscreen document) or direct calls.
+export function handleBuildHostCommand(message) {
+  switch (message.action) {
+    case "startBuild":
+      return startHostedBuild(message.job);
+    case "controlBuild":
+      return controlHostedBuild(message.jobId, message.command);
+    case "listBuilds":
+      return listHostedBuilds();
+    case "revokeBlobUrl":
+      revokeBuildUrl(message.blobUrl);
+      return null;
+    default:
+      return undefined;
+  }
+}
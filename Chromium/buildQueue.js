@@ -0,0 +1,140 @@
+// buildQueue.js
+// Batch queue of creators to build one after another, kept in chrome.storage.local so it survives restarts.
+// Pages edit the queue directly; the background worker notices the change and runs the next job.
+
+export const BUILD_QUEUE_STORAGE_KEY = "kemonoEpubBuildQueue";
+export const FINISHED_QUEUE_STATUSES = ["done", "failed", "cancelled"];
+
+/**
+ * @returns {Promise<object[]>} Jobs in queue order: { id, service, creatorId, creatorName, source: "creator-page"|
+ *   "creator-tab"|"pasted", stubs: posts to build or null for every post, options: generator options or null for
+ *   the creator's saved settings, status: "queued"|"running"|"done"|"failed"|"cancelled", buildId, message, error,
+ *   fileName, addedAt, startedAt, finishedAt }
+ */
+export async function getBuildQueue() {
+  const data = await chrome.storage.local.get(BUILD_QUEUE_STORAGE_KEY);
+  return data[BUILD_QUEUE_STORAGE_KEY] || [];
+}
+
+// Read-modify-write changes made by one page are chained so overlapping updates are not lost.
+// `change` edits the queue in place and returns false when nothing needs saving.
+let queueChange = Promise.resolve();
+
+function changeBuildQueue(change) {
+  const next = queueChange.then(async () => {
+    const queue = await getBuildQueue();
+    if (change(queue) !== false) await chrome.storage.local.set({ [BUILD_QUEUE_STORAGE_KEY]: queue });
+  });
+  queueChange = next.catch(() => {});
+  return next;
+}
+
+/**
+ * Appends jobs to the queue. A whole-creator job is skipped while the same creator is still waiting in the queue.
+ * @param {Array<{service, creatorId, creatorName?, source, stubs?, options?}>} jobs
+ * @returns {Promise<object[]>} The jobs that were added.
+ */
+export async function addQueueJobs(jobs) {
+  const added = [];
+  const now = Date.now();
+  await changeBuildQueue(queue => {
+    jobs.forEach(({ service, creatorId, creatorName = "", source, stubs = null, options = null }, index) => {
+      const waiting = queue.some(job =>
+        job.service === service && job.creatorId === creatorId && !job.stubs && !FINISHED_QUEUE_STATUSES.includes(job.status));
+      if (!stubs && waiting) return;
+      const job = {
+        id: `${now.toString(36)}-${index}-${Math.random().toString(36).slice(2, 6)}`,
+        service,
+        creatorId,
+        creatorName,
+        source,
+        stubs,
+        options,
+        status: "queued",
+        buildId: null,
+        message: "",
+        error: null,
+        fileName: options?.fileName || "",
+        addedAt: now,
+        startedAt: null,
+        finishedAt: null
+      };
+      queue.push(job);
+      added.push(job);
+    });
+    return added.length > 0;
+  });
+  return added;
+}
+
+// `match` is the job id, or a predicate for finding the job (e.g. by buildId).
+export async function updateQueueJob(match, changes) {
+  let updated = null;
+  await changeBuildQueue(queue => {
+    const job = queue.find(typeof match === "function" ? match : j => j.id === match);
+    if (!job || Object.keys(changes).every(key => job[key] === changes[key])) return false;
+    updated = Object.assign(job, changes);
+  });
+  return updated;
+}
+
+export function removeQueueJob(id) {
+  return changeBuildQueue(queue => {
+    const index = queue.findIndex(j => j.id === id);
+    if (index === -1) return false;
+    queue.splice(index, 1);
+  });
+}
+
+export function retryQueueJob(id) {
+  return updateQueueJob(id, { status: "queued", buildId: null, message: "", error: null, startedAt: null, finishedAt: null });
+}
+
+export function clearFinishedQueueJobs() {
+  return changeBuildQueue(queue => {
+    const remaining = queue.filter(j => !FINISHED_QUEUE_STATUSES.includes(j.status));
+    if (remaining.length === queue.length) return false;
+    queue.splice(0, queue.length, ...remaining);
+  });
+}
+
+/**
+ * Marks the first queued job as running and returns it, or returns null while another job runs or nothing is queued.
+ */
+export async function takeNextQueueJob() {
+  let next = null;
+  await changeBuildQueue(queue => {
+    if (queue.some(j => j.status === "running")) return false;
+    const job = queue.find(j => j.status === "queued");
+    if (!job) return false;
+    const attempt = Date.now();
+    next = Object.assign(job, { status: "running", buildId: `queue-${job.id}-${attempt}`, startedAt: attempt, message: "Starting...", error: null });
+  });
+  return next;
+}
+
+// Jobs left running when their build host went away (browser closed mid-build) are queued again.
+export function requeueInterruptedJobs() {
+  return changeBuildQueue(queue => {
+    const interrupted = queue.filter(j => j.status === "running");
+    if (interrupted.length === 0) return false;
+    interrupted.forEach(job => Object.assign(job, { status: "queued", buildId: null, message: "Interrupted – queued again." }));
+  });
+}
+
+/**
+ * Finds Kemono creator links in pasted text (one or more per line, post links included).
+ * @returns {Array<{service: string, creatorId: string}>} Unique creators in the order they appear.
+ */
+export function parseCreatorUrls(text) {
+  const creators = [];
+  const seen = new Set();
+  const pattern = /kemono\.[a-z]+\/([a-zA-Z0-9_-]+)\/user\/([a-zA-Z0-9_-]+)/g;
+  for (const [, service, creatorId] of text.matchAll(pattern)) {
+    const key = `${service}/${creatorId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    creators.push({ service, creatorId });
+  }
+  return creators;
+}
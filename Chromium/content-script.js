@@ -60,11 +60,120 @@ function injectEpubButton({ service, creatorId }, creatorName) {
   });
 
   actionsDiv.appendChild(btn);
+  injectWatchButton(actionsDiv, { service, creatorId }, creatorName);
+  injectQueueButton(actionsDiv, { service, creatorId }, creatorName);
   return true;
 }
 
+// Adds the whole creator to the batch queue, built in the background with the settings last used for it.
+function injectQueueButton(actionsDiv, { service, creatorId }, creatorName) {
+  if (document.getElementById("kemono-epub-queue-button")) return;
+
+  const btn = document.createElement("button");
+  btn.id = "kemono-epub-queue-button";
+  btn.className = "_favoriteButton_377bd2a";
+  btn.style.marginLeft = "10px";
+  btn.type = "button";
+  btn.textContent = "Add to EPUB Queue";
+  btn.title = "Build an EPUB of all posts after the creators already in the batch queue";
+
+  btn.addEventListener("click", () => {
+    btn.disabled = true;
+    chrome.runtime.sendMessage(
+      {
+        action: "queueCreator",
+        service,
+        creatorId,
+        creatorName: getCreatorName() || creatorName || ""
+      },
+      (response) => {
+        btn.disabled = false;
+        if (chrome.runtime.lastError || !response || response.error) {
+          btn.textContent = "Could not queue";
+          return;
+        }
+        btn.textContent = response.added > 0 ? "Queued ✓" : "Already queued";
+      }
+    );
+  });
+
+  actionsDiv.appendChild(btn);
+}
+
+// Toggles whether the background worker checks this creator for new posts.
+function injectWatchButton(actionsDiv, { service, creatorId }, creatorName) {
+  if (document.getElementById("kemono-epub-watch-button")) return;
+
+  const btn = document.createElement("button");
+  btn.id = "kemono-epub-watch-button";
+  btn.className = "_favoriteButton_377bd2a";
+  btn.style.marginLeft = "10px";
+  btn.type = "button";
+  btn.title = "Get a notification when this creator publishes new posts";
+
+  let watched = false;
+  const render = () => {
+    btn.textContent = watched ? "Watching ✓" : "Watch for New Posts";
+  };
+  render();
+
+  chrome.runtime.sendMessage({ action: "getWatchStatus", service, creatorId }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    watched = !!response.watched;
+    render();
+  });
+
+  btn.addEventListener("click", () => {
+    btn.disabled = true;
+    chrome.runtime.sendMessage(
+      {
+        action: "setWatched",
+        service,
+        creatorId,
+        creatorName: getCreatorName() || creatorName || "",
+        watched: !watched
+      },
+      (response) => {
+        btn.disabled = false;
+        if (chrome.runtime.lastError || !response || response.error) return;
+        watched = response.watched;
+        render();
+      }
+    );
+  });
+
+  actionsDiv.appendChild(btn);
+}
+
 // --- NEW FEATURES FOR SINGLE POST ---
 
+// Converts a Kemono data link ("https://n1.kemono.cr/data/ab/cd/hash.png?f=name.png")
+// into the { name, path } shape the post API uses for file/attachments.
+function toKemonoFileEntry(href, fallbackName) {
+  try {
+    const u = new URL(href, window.location.origin);
+    const path = u.pathname.replace(/^\/data(?=\/)/, "");
+    if (!path || path === "/") return null;
+    return { name: u.searchParams.get("f") || fallbackName || path.split("/").pop(), path };
+  } catch {
+    return null;
+  }
+}
+
+function scrapePostFiles() {
+  const mainLink = document.querySelector('.post__files a.fileThumb, .post__files a[href*="/data/"]');
+  const file = mainLink ? toKemonoFileEntry(mainLink.getAttribute("href")) : null;
+
+  const attachments = [];
+  document.querySelectorAll('.post__attachments a.post__attachment-link, .post__files a.fileThumb').forEach(a => {
+    if (a === mainLink) return;
+    const entry = toKemonoFileEntry(a.getAttribute("href"), a.textContent.replace(/^\s*Download\s*/i, "").trim());
+    if (entry) attachments.push(entry);
+  });
+
+  return { file: file || {}, attachments };
+}
+
 function scrapeSinglePostData() {
   const titleEl = document.querySelector('.post__title span:first-child');
   const title = titleEl ? titleEl.textContent.trim() : "Untitled Post";
@@ -106,6 +215,7 @@ function scrapeSinglePostData() {
   const pathParams = getServiceAndCreatorIdFromPath(window.location.pathname);
   const postIdMatch = window.location.pathname.match(/post\/(\d+)/);
   const postId = postIdMatch ? postIdMatch[1] : Date.now().toString();
+  const { file, attachments } = scrapePostFiles();
 
   return {
     service: pathParams ? pathParams.service : 'unknown',
@@ -114,7 +224,9 @@ function scrapeSinglePostData() {
     id: postId,
     title,
     published,
-    content
+    content,
+    file,
+    attachments
   };
 }
 
@@ -174,7 +286,12 @@ function showDownloadConfirmationModal(postData) {
   const cancelBtn = document.createElement("button");
   cancelBtn.textContent = "Cancel";
   cancelBtn.style.cssText = "padding: 8px 16px; cursor: pointer; background: #444; border: none; color: white; border-radius: 4px;";
-  cancelBtn.onclick = () => overlay.remove();
+  // While generating, Cancel aborts the build (and its downloads) before closing the dialog.
+  let buildController = null;
+  cancelBtn.onclick = () => {
+    if (buildController) buildController.cancel();
+    overlay.remove();
+  };
 
   const confirmBtn = document.createElement("button");
   confirmBtn.textContent = "Download";
@@ -189,7 +306,8 @@ function showDownloadConfirmationModal(postData) {
 
     try {
       // 1. Dynamic Import of the Generator
-      const { generateKemonoEpub } = await import(chrome.runtime.getURL("EpubGenerator.js"));
+      const { generateKemonoEpub, BuildController } = await import(chrome.runtime.getURL("EpubGenerator.js"));
+      buildController = new BuildController();
 
       if (typeof JSZip === 'undefined' && !window.JSZip) {
          throw new Error("JSZip not found in global scope. Check manifest injection.");
@@ -206,6 +324,7 @@ function showDownloadConfirmationModal(postData) {
       const options = {
         fileName: input.value || "post.epub",
         coverImageUrl: null, 
+        controller: buildController
       };
 
       // 3. Run Generator
@@ -225,11 +344,14 @@ function showDownloadConfirmationModal(postData) {
       setTimeout(() => overlay.remove(), 1000);
 
     } catch (err) {
+      if (err.name === "AbortError") return;
       console.error(err);
       statusText.textContent = "Error: " + err.message;
       statusText.style.color = "#ff8080";
       confirmBtn.disabled = false;
       confirmBtn.textContent = "Retry";
+    } finally {
+      buildController = null;
     }
   };
 
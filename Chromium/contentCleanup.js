@@ -0,0 +1,221 @@
+// contentCleanup.js
+// Per-creator rules that strip recurring boilerplate from post bodies ("Thanks to my patrons…", "Next chapter on
+// Friday", Discord invites, author notes) before they become chapters.
+
+export const DEFAULT_CONTENT_CLEANUP = { rules: "", leadingNotes: false, trailingNotes: false };
+
+const BLOCK_SELECTOR = [
+  "p", "div", "section", "article", "header", "footer", "aside", "center", "blockquote", "pre", "figure",
+  "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "li", "dl", "dt", "dd", "table", "tr", "td", "th", "hr"
+].join(", ");
+const MEDIA_SELECTOR = "img, video, audio, iframe, hr";
+// "A/N:", "Author's note", "T/N", "Notes:" at the start of a paragraph.
+const NOTE_MARKER = /^(?:a\/n|t\/n|(?:author|translator)['’]?s?\s+notes?|notes?\s*[:\-–—])/i;
+// Scene breaks: "***", "~ ~ ~", "-----".
+const SEPARATOR_TEXT = /^[\s*~=#•·_—–-]{3,}$/;
+// An author note runs at most this many paragraphs before it must reach a separator.
+const NOTE_MAX_PARAGRAPHS = 6;
+const PREVIEW_TEXT_LENGTH = 80;
+
+/**
+ * Parses one rule per line:
+ *   remove: pattern   removes every paragraph matching a case-insensitive regular expression
+ *   after: text       removes the first paragraph containing text (ignoring case) and everything after it
+ *   selector: css     removes the elements matching a CSS selector
+ * Blank lines and lines starting with # are skipped.
+ * @returns {{ rules: Array<{line: number, source: string, type: "remove"|"after"|"selector",
+ *   pattern?: RegExp, marker?: string, selector?: string}>, errors: string[] }}
+ */
+export function parseContentCleanupRules(text) {
+  const rules = [];
+  const errors = [];
+  (text || "").split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    const match = trimmed.match(/^(remove|after|selector):\s*(.+)$/i);
+    if (!match) {
+      errors.push(`Line ${index + 1}: start the rule with "remove:", "after:" or "selector:"`);
+      return;
+    }
+    const type = match[1].toLowerCase();
+    const value = match[2].trim();
+    const rule = { line: index + 1, source: trimmed, type };
+    if (type === "remove") {
+      try {
+        rule.pattern = new RegExp(value, "i");
+      } catch (e) {
+        errors.push(`Line ${index + 1}: ${e.message}`);
+        return;
+      }
+    } else if (type === "after") {
+      rule.marker = value.toLowerCase();
+    } else {
+      rule.selector = value;
+    }
+    rules.push(rule);
+  });
+  return { rules, errors };
+}
+
+// --- PARAGRAPHS ---
+// A paragraph is a block without nested blocks, or one <br>-separated line of one; loose text between blocks
+// counts too. Together they cover everything in the body, so removing a run of them removes all content in between.
+
+function paragraphOf(nodes) {
+  const text = nodes.map(node => node.textContent).join("").replace(/\s+/g, " ").trim();
+  const media = nodes.some(node => node.nodeType === 1 && (node.matches(MEDIA_SELECTOR) || node.querySelector(MEDIA_SELECTOR)));
+  const separator = (nodes.length === 1 && nodes[0].nodeName === "HR") || SEPARATOR_TEXT.test(text);
+  return { nodes, text, separator, blank: !text && !media };
+}
+
+function collectParagraphs(container, paragraphs = []) {
+  let line = [];
+  const endLine = () => {
+    if (line.length > 0) paragraphs.push(paragraphOf(line));
+    line = [];
+  };
+  Array.from(container.childNodes).forEach(node => {
+    if (node.nodeType === 1 && node.matches(BLOCK_SELECTOR)) {
+      endLine();
+      if (node.querySelector(BLOCK_SELECTOR) || node.querySelector("br")) collectParagraphs(node, paragraphs);
+      else paragraphs.push(paragraphOf([node]));
+      return;
+    }
+    line.push(node);
+    if (node.nodeName === "BR") endLine();
+  });
+  endLine();
+  return paragraphs;
+}
+
+// Removes nodes, then any block they leave empty.
+function removeNodes(nodes, body) {
+  nodes.forEach(node => {
+    let parent = node.parentNode;
+    if (!parent) return;
+    node.remove();
+    while (parent && parent !== body && parent.parentNode &&
+      !parent.textContent.trim() && !parent.querySelector(MEDIA_SELECTOR)) {
+      const next = parent.parentNode;
+      parent.remove();
+      parent = next;
+    }
+  });
+}
+
+function describe(text) {
+  return text.length > PREVIEW_TEXT_LENGTH ? `${text.substring(0, PREVIEW_TEXT_LENGTH - 1)}…` : text;
+}
+
+function removeParagraphs(paragraphs, body, entry) {
+  paragraphs.forEach(paragraph => {
+    removeNodes(paragraph.nodes, body);
+    if (paragraph.blank) return;
+    entry.removed.push(paragraph.text ? describe(paragraph.text) : paragraph.separator ? "(separator)" : "(image)");
+  });
+}
+
+// Indexes of paragraphs with content, in order; notes and markers are looked for among these.
+function contentIndexes(paragraphs) {
+  return paragraphs.map((p, i) => (p.blank ? -1 : i)).filter(i => i !== -1);
+}
+
+function applyRule(rule, body, entry) {
+  if (rule.type === "selector") {
+    const elements = Array.from(body.querySelectorAll(rule.selector));
+    elements.forEach(el => {
+      const text = el.textContent.replace(/\s+/g, " ").trim();
+      entry.removed.push(describe(text || `<${el.nodeName.toLowerCase()}>`));
+    });
+    removeNodes(elements, body);
+    return;
+  }
+  const paragraphs = collectParagraphs(body);
+  if (rule.type === "remove") {
+    removeParagraphs(paragraphs.filter(p => !p.blank && rule.pattern.test(p.text)), body, entry);
+    return;
+  }
+  // "after" never empties a post: the marker has to follow some content.
+  const indexes = contentIndexes(paragraphs);
+  const start = indexes.slice(1).find(i => paragraphs[i].text.toLowerCase().includes(rule.marker));
+  if (start !== undefined) removeParagraphs(paragraphs.slice(start), body, entry);
+}
+
+// A leading note starts the post with a note marker and runs to the next separator, if one comes soon enough.
+function dropLeadingNote(body, entry) {
+  const paragraphs = collectParagraphs(body);
+  const indexes = contentIndexes(paragraphs);
+  if (indexes.length < 2 || !NOTE_MARKER.test(paragraphs[indexes[0]].text)) return;
+  const separator = indexes.slice(1, NOTE_MAX_PARAGRAPHS + 1).find(i => paragraphs[i].separator);
+  const end = separator !== undefined && separator !== indexes[indexes.length - 1] ? separator : indexes[0];
+  removeParagraphs(paragraphs.slice(0, end + 1), body, entry);
+}
+
+// A trailing note runs from the first note marker among the last few paragraphs (or the separator just before it)
+// to the end.
+function dropTrailingNote(body, entry) {
+  const paragraphs = collectParagraphs(body);
+  const indexes = contentIndexes(paragraphs);
+  const tail = indexes.slice(1).slice(-NOTE_MAX_PARAGRAPHS);
+  const note = tail.filter(i => NOTE_MARKER.test(paragraphs[i].text)).shift();
+  if (note === undefined) return;
+  const position = indexes.indexOf(note);
+  const before = indexes[position - 1];
+  const start = position > 1 && paragraphs[before].separator ? before : note;
+  removeParagraphs(paragraphs.slice(start), body, entry);
+}
+
+/**
+ * @param {object} [cleanup] - { rules: rule text (see parseContentCleanupRules), leadingNotes, trailingNotes }
+ * @returns {Function|null} (doc) -> report, removing boilerplate from doc.body in place; null when there is nothing
+ *   to do. The report lists each rule in order as { line, source, removed: [paragraph text], error }; the author
+ *   note options have a null line.
+ */
+export function createContentCleaner(cleanup) {
+  const { rules } = parseContentCleanupRules(cleanup?.rules);
+  const leadingNotes = !!cleanup?.leadingNotes;
+  const trailingNotes = !!cleanup?.trailingNotes;
+  if (rules.length === 0 && !leadingNotes && !trailingNotes) return null;
+  return (doc) => {
+    const body = doc.body;
+    const report = [];
+    rules.forEach(rule => {
+      const entry = { line: rule.line, source: rule.source, removed: [], error: null };
+      try {
+        applyRule(rule, body, entry);
+      } catch (e) {
+        // Only a selector the browser rejects gets here.
+        entry.error = e.message;
+      }
+      report.push(entry);
+    });
+    if (leadingNotes) {
+      const entry = { line: null, source: "Leading author note", removed: [], error: null };
+      dropLeadingNote(body, entry);
+      report.push(entry);
+    }
+    if (trailingNotes) {
+      const entry = { line: null, source: "Trailing author note", removed: [], error: null };
+      dropTrailingNote(body, entry);
+      report.push(entry);
+    }
+    return report;
+  };
+}
+
+/**
+ * Runs the rules on a sample post body.
+ * @returns {{ report: Array, errors: string[], text: string }} report as from createContentCleaner (empty when there
+ *   are no rules), the rule syntax errors and the text left over.
+ */
+export function previewContentCleanup(cleanup, html) {
+  const doc = new DOMParser().parseFromString(html || "", "text/html");
+  doc.querySelectorAll("script").forEach(s => s.remove());
+  const clean = createContentCleaner(cleanup);
+  const report = clean ? clean(doc) : [];
+  return {
+    report,
+    errors: parseContentCleanupRules(cleanup?.rules).errors,
+    text: collectParagraphs(doc.body).map(p => p.text).filter(Boolean).join(" ")
+  };
+}
@@ -0,0 +1,117 @@
+// history.js
+// Download history view: every saved EPUB with its creator, posts and options; entries can be removed.
+
+import {
+  DOWNLOAD_HISTORY_STORAGE_KEY,
+  getDownloadHistory,
+  removeDownloadHistoryEntry,
+  clearDownloadHistory
+} from "./downloadHistory.js";
+
+// --- Global state ---
+let history = [];
+
+// --- DOM refs ---
+let historyFilterInput = null;
+let clearHistoryBtn = null;
+let historyCountSpan = null;
+let historyEmptyMessage = null;
+let historyList = null;
+
+function describeOptions(options) {
+  const parts = [];
+  if (options.updatedFrom) parts.push(`update of ${options.updatedFrom}`);
+  if (options.tagFilter) parts.push(`tag: ${options.tagFilter}`);
+  if (options.customQ) parts.push(`search: ${options.customQ}`);
+  if (options.documentPlacement) parts.push(`documents: ${options.documentPlacement}`);
+  if (!options.coverImageUrl) parts.push("no cover");
+  return parts.join(", ");
+}
+
+function creatorUrl(entry) {
+  return `https://kemono.cr/${entry.service}/user/${entry.creatorId}`;
+}
+
+function renderEntry(entry) {
+  const li = document.createElement("li");
+
+  const header = document.createElement("div");
+  header.className = "queue-job-header";
+  const title = document.createElement("span");
+  title.textContent = entry.fileName;
+  const date = document.createElement("span");
+  date.className = "queue-job-status";
+  date.textContent = new Date(entry.createdAt).toLocaleString();
+  header.append(title, date);
+  li.appendChild(header);
+
+  const details = document.createElement("span");
+  details.className = "queue-job-message";
+  const creator = document.createElement("a");
+  creator.href = creatorUrl(entry);
+  creator.target = "_blank";
+  creator.className = "queue-link";
+  creator.textContent = `${entry.creatorName || entry.creatorId} (${entry.service})`;
+  const summary = [`${entry.postIds.length} post(s)`, entry.partial ? "partial" : "", describeOptions(entry.options)]
+    .filter(Boolean)
+    .join(" – ");
+  details.append(creator, document.createTextNode(` – ${summary}`));
+  li.appendChild(details);
+
+  const buttons = document.createElement("div");
+  buttons.className = "queue-job-buttons";
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "button-secondary";
+  removeBtn.textContent = "Remove";
+  removeBtn.addEventListener("click", () => removeDownloadHistoryEntry(entry.id));
+  buttons.appendChild(removeBtn);
+  li.appendChild(buttons);
+
+  return li;
+}
+
+function filteredHistory() {
+  const term = historyFilterInput ? historyFilterInput.value.trim().toLowerCase() : "";
+  const entries = history.slice().reverse();
+  if (!term) return entries;
+  return entries.filter((entry) =>
+    [entry.creatorName, entry.creatorId, entry.service, entry.fileName].some((text) => (text || "").toLowerCase().includes(term)));
+}
+
+function renderHistory() {
+  const entries = filteredHistory();
+  if (historyCountSpan) historyCountSpan.textContent = String(entries.length);
+  if (historyEmptyMessage) historyEmptyMessage.style.display = history.length === 0 ? "block" : "none";
+  if (clearHistoryBtn) clearHistoryBtn.disabled = history.length === 0;
+  if (!historyList) return;
+  historyList.style.display = entries.length === 0 ? "none" : "block";
+  historyList.replaceChildren(...entries.map(renderEntry));
+}
+
+async function refreshHistory() {
+  history = await getDownloadHistory();
+  renderHistory();
+}
+
+async function handleClearHistory() {
+  if (!confirm("Remove every download history entry? Posts will no longer be marked as packed.")) return;
+  await clearDownloadHistory();
+}
+
+// --- Setup ---
+document.addEventListener("DOMContentLoaded", async () => {
+  historyFilterInput = document.getElementById("historyFilterInput");
+  clearHistoryBtn = document.getElementById("clearHistoryBtn");
+  historyCountSpan = document.getElementById("historyCountSpan");
+  historyEmptyMessage = document.getElementById("historyEmptyMessage");
+  historyList = document.getElementById("historyList");
+
+  if (historyFilterInput) historyFilterInput.addEventListener("input", renderHistory);
+  if (clearHistoryBtn) clearHistoryBtn.addEventListener("click", handleClearHistory);
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[DOWNLOAD_HISTORY_STORAGE_KEY]) refreshHistory();
+  });
+
+  await refreshHistory();
+});
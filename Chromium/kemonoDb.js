@@ -0,0 +1,79 @@
+// kemonoDb.js
+// Shared IndexedDB database for data that has to outlive a single page (build checkpoints, post cache).
+
+const DB_NAME = "kemonoEpubCreator";
+const DB_VERSION = 2;
+
+export const STORES = {
+  BUILD_JOBS: "buildJobs",     // unfinished builds, keyed "service/creatorId/buildId"
+  BUILD_POSTS: "buildPosts",   // processed posts of a build, keyed [jobKey, postId]
+  LISTINGS: "creatorListings", // cached post list and profile of a creator, keyed "service/creatorId"
+  POSTS: "postBodies"          // cached full post JSON, keyed [creatorKey, postId]
+};
+
+let dbPromise = null;
+
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available."));
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORES.BUILD_JOBS)) {
+      db.createObjectStore(STORES.BUILD_JOBS, { keyPath: "key" });
+    }
+    if (!db.objectStoreNames.contains(STORES.BUILD_POSTS)) {
+      db.createObjectStore(STORES.BUILD_POSTS);
+    }
+    if (!db.objectStoreNames.contains(STORES.LISTINGS)) {
+      db.createObjectStore(STORES.LISTINGS, { keyPath: "key" });
+    }
+    if (!db.objectStoreNames.contains(STORES.POSTS)) {
+      db.createObjectStore(STORES.POSTS);
+    }
+  };
+  dbPromise = requestToPromise(request).then(db => {
+    // Let a newer version opened in another tab upgrade instead of blocking on this connection.
+    db.onversionchange = () => {
+      db.close();
+      dbPromise = null;
+    };
+    return db;
+  }).catch(err => {
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+}
+
+/**
+ * Runs `work(store)` in a transaction and resolves with its result once the transaction commits.
+ * @param {string} storeName - One of STORES.
+ * @param {"readonly"|"readwrite"} mode
+ * @param {Function} work - Receives the object store; may return a request or a plain value.
+ */
+export async function withStore(storeName, mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    const value = work(tx.objectStore(storeName));
+    if (value && typeof value.onsuccess !== "undefined") {
+      value.onsuccess = () => { result = value.result; };
+    } else {
+      result = value;
+    }
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted."));
+  });
+}
@@ -0,0 +1,344 @@
+// numberRecognition.js
+// Finds the numbers in post titles, however they are written: digits ("1,024", "124.1"), Roman numerals ("XIV"),
+// number words and ordinals in several languages ("Four Hundred and Thirty-Nine", "Part the Third", "Kapitel zwölf")
+// and CJK numerals ("第十二話"). Recognizers are tried side by side; registerNumberRecognizer adds more.
+
+// Words that introduce a chapter, part, book or volume number ("Chapter XIV", "Kapitel zwölf", "Part the Third").
+export const NUMBER_MARKERS = [
+  "chapter", "chap", "ch", "part", "pt", "book", "bk", "vol", "volume", "episode", "ep", "arc", "act", "section",
+  "kapitel", "teil", "buch", "band", "folge",
+  "chapitre", "partie", "livre", "tome", "épisode",
+  "capítulo", "capitulo", "parte", "libro", "tomo", "episodio", "volumen",
+  "capitolo"
+];
+const MARKER_ARTICLES = ["the", "der", "die", "das", "le", "la", "el", "il", "lo"];
+
+const markerAlternation = () => [...new Set(NUMBER_MARKERS)].sort((a, b) => b.length - a.length).join("|");
+
+// Titles are matched many times over when sorting, so the marker patterns are compiled once per marker list.
+const markerPatterns = new Map();
+
+function markerPattern(kind, markers) {
+  const key = `${kind}:${markers}`;
+  if (!markerPatterns.has(key)) {
+    markerPatterns.set(key, kind === "before"
+      ? new RegExp(`(?:^|[^\\p{L}\\d])(?:${markers})\\.?\\s*(?:(?:${MARKER_ARTICLES.join("|")})\\s+)?$`, "iu")
+      : new RegExp(`^\\s+(?:${markers})(?:[^\\p{L}]|$)`, "iu"));
+  }
+  return markerPatterns.get(key);
+}
+
+/**
+ * True when a marker (optionally followed by an article) ends right before `index`.
+ * @param {string} [markers] - Regex alternation of marker words; NUMBER_MARKERS by default.
+ */
+export function followsMarker(text, index, markers = markerAlternation()) {
+  return markerPattern("before", markers).test(text.slice(0, index));
+}
+
+// True when a marker word starts right after `end` ("Twelfth Chapter", "Erstes Kapitel").
+export function precedesMarker(text, end, markers = markerAlternation()) {
+  return markerPattern("after", markers).test(text.slice(end));
+}
+
+// Roman numerals and number words are also ordinary words ("The One", "Mix it up CD"), so they only count next to a
+// marker or as the whole title ("XIV", "Forty-Two.").
+function countsAsNumber(text, index, end) {
+  const standsAlone = /^[\s\p{P}]*$/u.test(text.slice(0, index)) && /^[\s\p{P}]*$/u.test(text.slice(end));
+  return standsAlone || followsMarker(text, index) || precedesMarker(text, end);
+}
+
+// Lookups ignore case and accents ("Zwölf" = "zwolf", "Capítulo" = "capitulo").
+function foldWord(word) {
+  return word.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+// --- RECOGNIZERS ---
+// A recognizer is { name, find(text) } returning [{ value: number, text: how to print it, index, length, digits }].
+// `digits` is true for numbers written in Arabic digits, which a title's own number is taken from first.
+
+const digitRecognizer = {
+  name: "digits",
+  find(text) {
+    return [...text.matchAll(/\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?/g)].map(match => {
+      const printed = match[0].replace(/,/g, "");
+      return { value: Number(printed), text: printed, index: match.index, length: match[0].length, digits: true };
+    });
+  }
+};
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+
+export function parseRomanNumeral(numeral) {
+  if (!numeral || !/^m{0,4}(?:cm|cd|d?c{0,3})(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3})$/i.test(numeral)) return null;
+  const digits = numeral.toLowerCase().split("").map(char => ROMAN_VALUES[char]);
+  return digits.reduce((sum, value, i) => sum + (value < (digits[i + 1] || 0) ? -value : value), 0);
+}
+
+// Roman numerals count next to a marker ("Chapter xiv", "Act I") or as the whole title ("XIV"). They are written in
+// one case, so a capitalized word is not one ("Chapter Mix"); number words are tried first ("Chapitre dix").
+const romanRecognizer = {
+  name: "roman",
+  find(text) {
+    const found = [];
+    for (const match of text.matchAll(/\b(?:[MDCLXVI]+|[mdclxvi]+)\b/g)) {
+      const value = parseRomanNumeral(match[0]);
+      if (!value || !countsAsNumber(text, match.index, match.index + match[0].length)) continue;
+      found.push({ value, text: String(value), index: match.index, length: match[0].length, digits: false });
+    }
+    return found;
+  }
+};
+
+const CJK_DIGITS = { "〇": 0, "零": 0, "一": 1, "二": 2, "两": 2, "兩": 2, "三": 3, "四": 4, "五": 5, "六": 6, "七": 7, "八": 8, "九": 9 };
+const CJK_UNITS = { "十": 10, "百": 100, "千": 1000 };
+const CJK_SCALES = { "万": 1e4, "萬": 1e4, "億": 1e8, "亿": 1e8 };
+const CJK_COUNTERS = "話话章回巻卷部節节集篇";
+const CJK_NUMERAL_PATTERN = new RegExp(`[${Object.keys({ ...CJK_DIGITS, ...CJK_UNITS, ...CJK_SCALES }).join("")}]+`, "g");
+
+export function parseCjkNumeral(numeral) {
+  const chars = [...numeral];
+  // Digit by digit, as in years ("二〇二四").
+  if (chars.length > 1 && chars.every(char => char in CJK_DIGITS)) return Number(chars.map(char => CJK_DIGITS[char]).join(""));
+  let total = 0;
+  let section = 0;
+  let digit = 0;
+  for (const char of chars) {
+    if (char in CJK_DIGITS) digit = CJK_DIGITS[char];
+    else if (char in CJK_UNITS) {
+      section += (digit || 1) * CJK_UNITS[char];
+      digit = 0;
+    } else if (char in CJK_SCALES) {
+      total += (section + digit || 1) * CJK_SCALES[char];
+      section = 0;
+      digit = 0;
+    } else return null;
+  }
+  return total + section + digit;
+}
+
+// Only numerals written as ordinals ("第十二") or with a counter ("十二話") count; 一 alone is often just "one" in a word.
+const cjkRecognizer = {
+  name: "cjk",
+  find(text) {
+    const found = [];
+    for (const match of text.matchAll(CJK_NUMERAL_PATTERN)) {
+      const next = text.charAt(match.index + match[0].length);
+      if (text.charAt(match.index - 1) !== "第" && !(next && CJK_COUNTERS.includes(next))) continue;
+      const value = parseCjkNumeral(match[0]);
+      if (value !== null) found.push({ value, text: String(value), index: match.index, length: match[0].length, digits: false });
+    }
+    return found;
+  }
+};
+
+/**
+ * Builds a recognizer for number words in one language.
+ * @param {object} language - { name, words: {word: value} (cardinals and ordinals, lowercase without accents),
+ *   hundreds: words multiplying what comes before by 100, scales: {word: 1000, 1e6, ...}, connectors: words allowed
+ *   between number words ("and", "und"), suffixes: [[ending, replacement]] tried on unknown words to turn ordinals
+ *   into cardinals ("twentieth" -> "twenty"), compound: whether words are written together ("zweiundzwanzig"),
+ *   vigesimal: whether 4 x 20 counts as 80 ("quatre-vingt") }
+ * Number words count next to a marker or as the whole title, as Roman numerals do.
+ */
+export function createWordNumberRecognizer(language) {
+  const {
+    words, hundreds = [], scales = {}, connectors = [], suffixes = [],
+    compound = false, vigesimal = false
+  } = language;
+  const vocabulary = { ...words };
+  hundreds.forEach(word => (vocabulary[word] = 100));
+  Object.assign(vocabulary, scales);
+  const morphemes = [...Object.keys(vocabulary), ...connectors].sort((a, b) => b.length - a.length);
+
+  // Splits a compound word into known words, or returns null.
+  const split = (word) => {
+    if (!word) return [];
+    for (const morpheme of morphemes) {
+      if (!word.startsWith(morpheme)) continue;
+      const rest = split(word.slice(morpheme.length));
+      if (rest) return [morpheme, ...rest];
+    }
+    return null;
+  };
+  const candidates = (word) => [word, ...suffixes.filter(([ending]) => word.endsWith(ending) && word.length > ending.length)
+    .map(([ending, replacement]) => word.slice(0, -ending.length) + replacement)];
+  // Number words of one written word; connectors are kept so a run can be judged later.
+  const lookup = (word) => {
+    const folded = foldWord(word);
+    for (const candidate of candidates(folded)) {
+      if (candidate in vocabulary || connectors.includes(candidate)) return [candidate];
+    }
+    if (!compound) return null;
+    for (const candidate of candidates(folded)) {
+      const parts = split(candidate);
+      if (parts && parts.some(part => part in vocabulary)) return parts;
+    }
+    return null;
+  };
+  const evaluate = (parts) => {
+    let total = 0;
+    let current = 0;
+    for (const part of parts) {
+      if (connectors.includes(part)) continue;
+      if (hundreds.includes(part)) current = (current || 1) * 100;
+      else if (part in scales) {
+        total += (current || 1) * scales[part];
+        current = 0;
+      } else if (vigesimal && vocabulary[part] === 20 && current === 4) current = 80;
+      else current += vocabulary[part];
+    }
+    return total + current;
+  };
+
+  return {
+    name: language.name,
+    find(text) {
+      const found = [];
+      let run = [];
+      const finish = () => {
+        while (run.length > 0 && run[run.length - 1].parts.every(part => connectors.includes(part))) run.pop();
+        while (run.length > 0 && run[0].parts.every(part => connectors.includes(part))) run.shift();
+        if (run.length > 0) {
+          const index = run[0].index;
+          const end = run[run.length - 1].end;
+          if (countsAsNumber(text, index, end)) {
+            const value = evaluate(run.flatMap(word => word.parts));
+            found.push({ value, text: String(value), index, length: end - index, digits: false });
+          }
+        }
+        run = [];
+      };
+      for (const match of text.matchAll(/\p{L}+/gu)) {
+        const parts = lookup(match[0]);
+        const previous = run[run.length - 1];
+        if (!parts || (previous && !/^[\s-]*$/.test(text.slice(previous.end, match.index)))) finish();
+        if (parts) run.push({ parts, index: match.index, end: match.index + match[0].length });
+      }
+      finish();
+      return found;
+    }
+  };
+}
+
+const ENGLISH = {
+  name: "english",
+  words: {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18,
+    nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+    first: 1, second: 2, third: 3, fifth: 5, eighth: 8, ninth: 9, twelfth: 12
+  },
+  hundreds: ["hundred"],
+  scales: { thousand: 1e3, million: 1e6, billion: 1e9 },
+  connectors: ["and"],
+  suffixes: [["ieth", "y"], ["th", ""]]
+};
+
+const GERMAN = {
+  name: "german",
+  compound: true,
+  words: {
+    null: 0, eins: 1, ein: 1, eine: 1, zwei: 2, zwo: 2, drei: 3, vier: 4, funf: 5, sechs: 6, sieben: 7, acht: 8,
+    neun: 9, zehn: 10, elf: 11, zwolf: 12, dreizehn: 13, vierzehn: 14, funfzehn: 15, sechzehn: 16, siebzehn: 17,
+    achtzehn: 18, neunzehn: 19, zwanzig: 20, dreissig: 30, "dreißig": 30, vierzig: 40, funfzig: 50, sechzig: 60,
+    siebzig: 70, achtzig: 80, neunzig: 90,
+    erst: 1, zweit: 2, dritt: 3, siebt: 7
+  },
+  hundreds: ["hundert"],
+  scales: { tausend: 1e3, million: 1e6, millionen: 1e6 },
+  connectors: ["und"],
+  suffixes: [["sten", ""], ["ster", ""], ["stes", ""], ["stem", ""], ["ste", ""], ["ten", ""], ["ter", ""], ["tes", ""],
+    ["tem", ""], ["te", ""], ["en", ""], ["er", ""], ["es", ""], ["em", ""], ["e", ""]]
+};
+
+const FRENCH = {
+  name: "french",
+  vigesimal: true,
+  words: {
+    zero: 0, un: 1, une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, six: 6, sept: 7, huit: 8, neuf: 9, dix: 10,
+    onze: 11, douze: 12, treize: 13, quatorze: 14, quinze: 15, seize: 16, vingt: 20, vingts: 20, trente: 30,
+    quarante: 40, cinquante: 50, soixante: 60,
+    premier: 1, premiere: 1, second: 2, seconde: 2, cinquieme: 5, neuvieme: 9
+  },
+  hundreds: ["cent", "cents"],
+  scales: { mille: 1e3, million: 1e6, millions: 1e6 },
+  connectors: ["et"],
+  suffixes: [["ieme", ""], ["ieme", "e"]]
+};
+
+const SPANISH = {
+  name: "spanish",
+  words: {
+    cero: 0, uno: 1, un: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9,
+    diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15, dieciseis: 16, diecisiete: 17, dieciocho: 18,
+    diecinueve: 19, veinte: 20, veintiuno: 21, veintiun: 21, veintidos: 22, veintitres: 23, veinticuatro: 24,
+    veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29, treinta: 30, cuarenta: 40,
+    cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90, doscientos: 200, trescientos: 300,
+    cuatrocientos: 400, quinientos: 500, seiscientos: 600, setecientos: 700, ochocientos: 800, novecientos: 900,
+    primero: 1, primer: 1, primera: 1, segundo: 2, segunda: 2, tercero: 3, tercer: 3, tercera: 3, cuarto: 4,
+    cuarta: 4, quinto: 5, quinta: 5, sexto: 6, sexta: 6, septimo: 7, septima: 7, octavo: 8, octava: 8, noveno: 9,
+    novena: 9, decimo: 10, decima: 10
+  },
+  hundreds: ["cien", "ciento"],
+  scales: { mil: 1e3, millon: 1e6, millones: 1e6 },
+  connectors: ["y"]
+};
+
+const ITALIAN = {
+  name: "italian",
+  compound: true,
+  words: {
+    zero: 0, uno: 1, una: 1, un: 1, due: 2, tre: 3, quattro: 4, cinque: 5, sei: 6, sette: 7, otto: 8, nove: 9,
+    dieci: 10, undici: 11, dodici: 12, tredici: 13, quattordici: 14, quindici: 15, sedici: 16, diciassette: 17,
+    diciotto: 18, diciannove: 19, venti: 20, vent: 20, trenta: 30, trent: 30, quaranta: 40, quarant: 40,
+    cinquanta: 50, cinquant: 50, sessanta: 60, sessant: 60, settanta: 70, settant: 70, ottanta: 80, ottant: 80,
+    novanta: 90, novant: 90,
+    primo: 1, prima: 1, secondo: 2, seconda: 2, terzo: 3, terza: 3, quarto: 4, quarta: 4, quinto: 5, quinta: 5,
+    sesto: 6, sesta: 6, settimo: 7, settima: 7, ottavo: 8, ottava: 8, nono: 9, nona: 9, decimo: 10, decima: 10
+  },
+  hundreds: ["cento"],
+  scales: { mille: 1e3, mila: 1e3, milione: 1e6, milioni: 1e6 },
+  connectors: ["e"],
+  suffixes: [["esimo", "i"], ["esima", "i"], ["esimo", "e"], ["esima", "e"], ["esimo", ""], ["esima", ""]]
+};
+
+const recognizers = [
+  digitRecognizer,
+  cjkRecognizer,
+  ...[ENGLISH, GERMAN, FRENCH, SPANISH, ITALIAN].map(createWordNumberRecognizer),
+  romanRecognizer
+];
+
+/**
+ * Adds a recognizer (see RECOGNIZERS above), e.g. createWordNumberRecognizer() for another language.
+ * Where two recognizers find overlapping numbers, the one registered first wins.
+ */
+export function registerNumberRecognizer(recognizer) {
+  recognizers.push(recognizer);
+}
+
+/**
+ * @returns {Array<{value: number, text: string, index: number, length: number, digits: boolean}>} Every number in
+ *   the text, in reading order, without overlaps.
+ */
+export function findNumbers(text) {
+  if (!text || typeof text !== "string") return [];
+  // Full-width digits ("１２") count as digits; each is one character, so positions stay the same.
+  const normalized = text.replace(/[０-９]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xfee0));
+  const found = [];
+  recognizers.forEach(recognizer => {
+    recognizer.find(normalized).forEach(number => {
+      const end = number.index + number.length;
+      if (!found.some(other => number.index < other.index + other.length && other.index < end)) found.push(number);
+    });
+  });
+  return found.sort((a, b) => a.index - b.index);
+}
+
+// The numbers a title is named by: those in Arabic digits ("Act I Scene 2" → 2), or the others when it has none.
+export function findTitleNumbers(text) {
+  const numbers = findNumbers(text);
+  const digits = numbers.filter(number => number.digits);
+  return digits.length > 0 ? digits : numbers;
+}
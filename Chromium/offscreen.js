@@ -0,0 +1,18 @@
+// offscreen.js
+// Chromium only: the background service worker has no DOM, so builds run in this offscreen document.
+
+import { handleBuildHostCommand, onBuildUpdate } from "./buildHost.js";
+
+// Updates go to every extension page: the background worker saves finished books, UI tabs show progress.
+onBuildUpdate((build) => {
+  chrome.runtime.sendMessage({ action: "buildUpdate", build }).catch(() => {});
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== "offscreen") return;
+  try {
+    sendResponse({ result: handleBuildHostCommand(message) });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+});
@@ -0,0 +1,98 @@
+// postCache.js
+// Persistent cache of creator post listings and full post bodies, kept across sessions in IndexedDB.
+
+import { STORES, withStore } from "./kemonoDb.js";
+
+function creatorKeyFor(service, creatorId) {
+  return `${service}/${creatorId}`;
+}
+
+// A post changes version whenever Kemono re-imports it with edits.
+export function postVersion(post) {
+  return (post && (post.edited || post.published)) || "";
+}
+
+/**
+ * Returns the cached (unfiltered) post list of a creator, or null.
+ * @returns {Promise<object|null>} { key, stubs (newest first), postCount, creatorName, fetchedOffset, atEnd, updatedAt }
+ */
+export async function loadCreatorListing(service, creatorId) {
+  try {
+    const listing = await withStore(STORES.LISTINGS, "readonly", store => store.get(creatorKeyFor(service, creatorId)));
+    return listing || null;
+  } catch (e) {
+    console.warn("Could not read cached post list:", e);
+    return null;
+  }
+}
+
+export async function saveCreatorListing(service, creatorId, { stubs, postCount, creatorName, fetchedOffset, atEnd }) {
+  try {
+    await withStore(STORES.LISTINGS, "readwrite", store => store.put({
+      key: creatorKeyFor(service, creatorId),
+      stubs,
+      postCount,
+      creatorName,
+      fetchedOffset,
+      atEnd,
+      updatedAt: Date.now()
+    }));
+  } catch (e) {
+    console.warn("Could not cache post list:", e);
+  }
+}
+
+/**
+ * Returns a cached post body if it is still current. A stale body (its version differs from
+ * `expectedVersion`) is dropped and null is returned; an empty `expectedVersion` accepts any body.
+ */
+export async function getCachedPost(service, creatorId, postId, expectedVersion = "") {
+  const key = [creatorKeyFor(service, creatorId), String(postId)];
+  try {
+    const record = await withStore(STORES.POSTS, "readonly", store => store.get(key));
+    if (!record) return null;
+    if (expectedVersion && postVersion(record.post) !== expectedVersion) {
+      await withStore(STORES.POSTS, "readwrite", store => store.delete(key));
+      return null;
+    }
+    return record.post;
+  } catch (e) {
+    console.warn(`Could not read cached post ${postId}:`, e);
+    return null;
+  }
+}
+
+export async function putCachedPosts(service, creatorId, posts) {
+  const creatorKey = creatorKeyFor(service, creatorId);
+  const cachedAt = Date.now();
+  try {
+    await withStore(STORES.POSTS, "readwrite", store => {
+      for (const post of posts) {
+        if (post && post.id) store.put({ post, cachedAt }, [creatorKey, String(post.id)]);
+      }
+    });
+  } catch (e) {
+    console.warn("Could not cache posts:", e);
+  }
+}
+
+/**
+ * Counts cached entries and reads the storage used by the extension (which also covers build checkpoints).
+ * @returns {Promise<{posts: number, creators: number, bytes: number|null}>}
+ */
+export async function getCacheStats() {
+  const posts = await withStore(STORES.POSTS, "readonly", store => store.count());
+  const creators = await withStore(STORES.LISTINGS, "readonly", store => store.count());
+  let bytes = null;
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      bytes = (await navigator.storage.estimate()).usage ?? null;
+    } catch (e) {}
+  }
+  return { posts, creators, bytes };
+}
+
+export async function clearPostCache() {
+  await withStore(STORES.POSTS, "readwrite", store => store.clear());
+  await withStore(STORES.LISTINGS, "readwrite", store => store.clear());
+}
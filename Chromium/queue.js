@@ -0,0 +1,163 @@
+// queue.js
+// Batch queue view: add creators by URL, follow the running job, retry or remove jobs.
+
+import {
+  BUILD_QUEUE_STORAGE_KEY,
+  FINISHED_QUEUE_STATUSES,
+  getBuildQueue,
+  addQueueJobs,
+  removeQueueJob,
+  retryQueueJob,
+  clearFinishedQueueJobs,
+  parseCreatorUrls
+} from "./buildQueue.js";
+
+// --- Global state ---
+let queue = [];
+let liveBuilds = {}; // buildId -> latest build state from the build host
+
+// --- DOM refs ---
+let queueUrlsInput = null;
+let addUrlsBtn = null;
+let queueAddMessage = null;
+let clearFinishedBtn = null;
+let queueCountSpan = null;
+let queueEmptyMessage = null;
+let queueList = null;
+
+const STATUS_LABELS = {
+  queued: "Queued",
+  running: "Running",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled"
+};
+
+function jobTitle(job) {
+  const name = job.creatorName || job.creatorId;
+  const scope = job.stubs ? `${job.stubs.length} selected post(s)` : "all posts";
+  return `${name} (${job.service}) – ${scope}`;
+}
+
+function renderJob(job) {
+  const li = document.createElement("li");
+  const live = job.status === "running" ? liveBuilds[job.buildId] : null;
+
+  const header = document.createElement("div");
+  header.className = "queue-job-header";
+  const title = document.createElement("span");
+  title.textContent = jobTitle(job);
+  const status = document.createElement("span");
+  status.className = `queue-job-status ${job.status}`;
+  status.textContent = live && live.status === "paused" ? "Paused" : STATUS_LABELS[job.status] || job.status;
+  header.append(title, status);
+  li.appendChild(header);
+
+  if (live) {
+    const bar = document.createElement("progress");
+    bar.max = 100;
+    bar.value = live.progress;
+    li.appendChild(bar);
+  }
+
+  const text = job.error || (live ? live.message : job.message);
+  if (text || job.fileName) {
+    const message = document.createElement("span");
+    message.className = `queue-job-message${job.error ? " error" : ""}`;
+    message.textContent = [job.fileName, text].filter(Boolean).join(" – ");
+    li.appendChild(message);
+  }
+
+  const buttons = document.createElement("div");
+  buttons.className = "queue-job-buttons";
+  if (job.status === "failed" || job.status === "cancelled") {
+    const retryBtn = document.createElement("button");
+    retryBtn.className = "button-secondary";
+    retryBtn.textContent = "Retry";
+    retryBtn.addEventListener("click", () => retryQueueJob(job.id));
+    buttons.appendChild(retryBtn);
+  }
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "button-secondary";
+  removeBtn.textContent = job.status === "running" ? "Cancel & Remove" : "Remove";
+  removeBtn.addEventListener("click", () => handleRemoveJob(job));
+  buttons.appendChild(removeBtn);
+  li.appendChild(buttons);
+
+  return li;
+}
+
+function renderQueue() {
+  if (queueCountSpan) queueCountSpan.textContent = String(queue.length);
+  if (queueEmptyMessage) queueEmptyMessage.style.display = queue.length === 0 ? "block" : "none";
+  if (clearFinishedBtn) clearFinishedBtn.disabled = !queue.some((job) => FINISHED_QUEUE_STATUSES.includes(job.status));
+  if (!queueList) return;
+  queueList.style.display = queue.length === 0 ? "none" : "block";
+  queueList.replaceChildren(...queue.map(renderJob));
+}
+
+async function refreshQueue() {
+  queue = await getBuildQueue();
+  renderQueue();
+}
+
+async function handleAddUrls() {
+  const creators = parseCreatorUrls(queueUrlsInput.value);
+  if (creators.length === 0) {
+    queueAddMessage.textContent = "No Kemono creator URLs found.";
+    return;
+  }
+  const added = await addQueueJobs(creators.map((c) => ({ ...c, source: "pasted" })));
+  const skipped = creators.length - added.length;
+  queueAddMessage.textContent = `${added.length} creator(s) added${skipped > 0 ? `, ${skipped} already queued` : ""}.`;
+  queueUrlsInput.value = "";
+}
+
+// A running job is cancelled first; its build reports "cancelled" to a job that no longer exists.
+async function handleRemoveJob(job) {
+  if (job.status === "running" && job.buildId) {
+    try {
+      await chrome.runtime.sendMessage({ action: "controlBuild", jobId: job.buildId, command: "cancel" });
+    } catch (e) {
+      console.warn("Could not cancel the running build:", e);
+    }
+  }
+  await removeQueueJob(job.id);
+}
+
+function handleBuildUpdate(build) {
+  if (build.kind !== "queue") return;
+  liveBuilds[build.id] = build;
+  if (queue.some((job) => job.buildId === build.id)) renderQueue();
+}
+
+// --- Setup ---
+document.addEventListener("DOMContentLoaded", async () => {
+  queueUrlsInput = document.getElementById("queueUrlsInput");
+  addUrlsBtn = document.getElementById("addUrlsBtn");
+  queueAddMessage = document.getElementById("queueAddMessage");
+  clearFinishedBtn = document.getElementById("clearFinishedBtn");
+  queueCountSpan = document.getElementById("queueCountSpan");
+  queueEmptyMessage = document.getElementById("queueEmptyMessage");
+  queueList = document.getElementById("queueList");
+
+  if (addUrlsBtn) addUrlsBtn.addEventListener("click", handleAddUrls);
+  if (clearFinishedBtn) clearFinishedBtn.addEventListener("click", clearFinishedQueueJobs);
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[BUILD_QUEUE_STORAGE_KEY]) refreshQueue();
+  });
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === "buildUpdate") handleBuildUpdate(message.build);
+  });
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: "listBuilds" });
+    (response?.builds || []).forEach((build) => {
+      if (build.kind === "queue") liveBuilds[build.id] = build;
+    });
+  } catch (e) {
+    console.warn("Could not list background builds:", e);
+  }
+  await refreshQueue();
+});
@@ -1,6 +1,21 @@
 // EpubGenerator.js
 //  This file creates an EPUB from Kemono posts.
 
+import {
+  convertDocxToXhtml,
+  convertTextToXhtml,
+  convertMarkdownToXhtml,
+  decodeTextBuffer
+} from "./attachmentConverters.js";
+import { readEpubPackage } from "./epubImporter.js";
+import { postVersion, getCachedPost, putCachedPosts } from "./postCache.js";
+import { saveEpubBlob } from "./epubOutput.js";
+import { recordDownload } from "./downloadHistory.js";
+import { createTocGrouper } from "./tocGrouping.js";
+import { orderPosts } from "./chapterOrder.js";
+import { createTitleRewriter } from "./titleRules.js";
+import { createContentCleaner } from "./contentCleanup.js";
+
 // CONFIGURATION
 const KEMONO_API_BASE_URL = "https://kemono.cr/api/v1";
 const KEMONO_SITE_BASE_URL = "https://kemono.cr";
@@ -8,18 +23,63 @@ const KEMONO_DATA_BASE_URL = "https://kemono.cr/data";
 
 const POSTS_PER_PAGE_FOR_LIST = 50;
 const API_CALL_DELAY = 500;
+const DEFAULT_ASSET_CONCURRENCY = 3;
+const MAX_ASSET_CONCURRENCY = 8;
+// Posts fetched and processed ahead of the one being packed, so their assets download in parallel.
+const POST_PIPELINE_DEPTH = 4;
+const ASSET_PROGRESS_INTERVAL = 250;
+const DEFAULT_RETRY_ATTEMPTS = 4;
+const DEFAULT_RETRY_MAX_DELAY = 30000;
+const RETRY_BASE_DELAY = 1000;
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+// Each 429 doubles the API spacing up to this factor; successful calls ease it back down.
+const MAX_THROTTLE_FACTOR = 8;
+const THROTTLE_EASE_STEP = 0.9;
 const LARGE_OFFSET_FOR_COUNT = 100000;
+// Posts with less text than this are treated as teasers for their attached document.
+const TEASER_TEXT_MAX_LENGTH = 300;
 
 // RATE-LIMITER: Promise chaining to ensure strict serialization
 let apiQueue = Promise.resolve();
 let lastApiCallTime = 0;
 
+// GLOBAL SLOWDOWN: raised by 429 responses, shared by API calls and asset downloads
+let throttleFactor = 1;
+let throttledUntil = 0;
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function isAbortError(error) {
+  return !!error && error.name === "AbortError";
+}
+
+// For downloads started together and awaited one by one: once the first await throws on cancel, the rest would
+// reject with nothing listening. Marking each handled up front keeps that quiet; awaiting it still throws.
+function handledLater(promise) {
+  promise?.catch(() => {});
+  return promise;
+}
+
 async function ensureApiRateLimit() {
   const nextCall = apiQueue.then(async () => {
     const now = Date.now();
     const timeSinceLast = now - lastApiCallTime;
-    if (timeSinceLast < API_CALL_DELAY) {
-      await new Promise(r => setTimeout(r, API_CALL_DELAY - timeSinceLast));
+    const delay = API_CALL_DELAY * throttleFactor;
+    if (timeSinceLast < delay) {
+      await sleep(delay - timeSinceLast);
     }
     lastApiCallTime = Date.now();
   });
@@ -27,11 +87,169 @@ async function ensureApiRateLimit() {
   return nextCall;
 }
 
+async function waitForThrottle(signal) {
+  while (Date.now() < throttledUntil) {
+    await sleep(throttledUntil - Date.now(), signal);
+  }
+}
+
+function registerRateLimited(retryAfterMs) {
+  throttleFactor = Math.min(MAX_THROTTLE_FACTOR, throttleFactor * 2);
+  const pause = retryAfterMs ?? API_CALL_DELAY * throttleFactor;
+  throttledUntil = Math.max(throttledUntil, Date.now() + pause);
+}
+
+function easeThrottle() {
+  if (throttleFactor > 1) throttleFactor = Math.max(1, throttleFactor * THROTTLE_EASE_STEP);
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+function parseRetryAfter(headerValue) {
+  if (!headerValue) return null;
+  const seconds = Number(headerValue);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(headerValue);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// ASSET POOL: limits concurrent downloads per host. A finished download hands
+// its slot straight to the next waiter so the limit can't be overshot.
+class HostPool {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(task) {
+    if (this.active < this.limit) {
+      this.active++;
+    } else {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) next();
+      else this.active--;
+    }
+  }
+}
+
 // HTTP HELPER
+// API JSON calls go through the strict serial rate limiter; asset downloads (images,
+// attachments) run through a concurrent pool per host and report asset events to the caller.
+// Failed requests (network errors, 408/425/429/5xx) are retried with exponential
+// backoff and jitter; Retry-After is honoured, capped by the configured maximum delay.
+// Settings and events travel with each call's requestOptions (see createRequestOptions), so builds running side
+// by side keep their own; only the API rate limiter and the 429 slowdown are shared.
+const DEFAULT_RETRY_POLICY = { maxAttempts: DEFAULT_RETRY_ATTEMPTS, maxDelay: DEFAULT_RETRY_MAX_DELAY };
+
 const HttpClient = {
-  async fetchJson(url) {
-    await ensureApiRateLimit();
-    const res = await fetch(url, { headers: { Accept: "text/css" } });
+  // Pools for calls made without a build's requestOptions.
+  defaultHostPools: new Map(),
+
+  /**
+   * Request options for one build.
+   * @param {object} settings - { assetConcurrency, maxAttempts, maxRetryDelay, signal, beforeRequest, onEvent }.
+   *   beforeRequest() runs before every attempt (pause gate). onEvent receives
+   *   { type: "asset-queued" | "asset-start" | "asset-done" | "asset-failed" | "asset-cancelled", url, size?, error? },
+   *   { type: "retry", url, attempt, maxAttempts, delay, status, error } and { type: "throttle", factor, pause }.
+   */
+  createRequestOptions({ assetConcurrency, maxAttempts, maxRetryDelay, signal, beforeRequest, onEvent } = {}) {
+    return {
+      signal,
+      beforeRequest,
+      onEvent,
+      assetConcurrency: Math.min(MAX_ASSET_CONCURRENCY, Math.max(1, parseInt(assetConcurrency, 10) || DEFAULT_ASSET_CONCURRENCY)),
+      retryPolicy: {
+        maxAttempts: Math.max(1, parseInt(maxAttempts, 10) || DEFAULT_RETRY_ATTEMPTS),
+        maxDelay: Math.max(RETRY_BASE_DELAY, parseInt(maxRetryDelay, 10) || DEFAULT_RETRY_MAX_DELAY)
+      },
+      hostPools: new Map()
+    };
+  },
+
+  _emit({ onEvent }, event) {
+    if (!onEvent) return;
+    try {
+      onEvent(event);
+    } catch (e) {
+      console.warn("HttpClient listener failed:", e);
+    }
+  },
+
+  _poolFor(url, { hostPools = this.defaultHostPools, assetConcurrency = DEFAULT_ASSET_CONCURRENCY }) {
+    let host = "";
+    try {
+      host = new URL(url).host;
+    } catch {}
+    if (!hostPools.has(host)) hostPools.set(host, new HostPool(assetConcurrency));
+    return hostPools.get(host);
+  },
+
+  _retryDelay(attempt, retryAfterMs, { maxDelay }) {
+    const backoff = Math.min(maxDelay, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+    const jittered = backoff / 2 + Math.random() * (backoff / 2);
+    return Math.round(Math.min(maxDelay, Math.max(jittered, retryAfterMs || 0)));
+  },
+
+  // Runs attemptFn until it yields an ok response, a non-retryable status or attempts run out.
+  // Returns the last response (ok or not); rethrows the last network error.
+  async _withRetry(url, attemptFn, requestOptions) {
+    const { signal, beforeRequest, retryPolicy = DEFAULT_RETRY_POLICY } = requestOptions;
+    const { maxAttempts } = retryPolicy;
+    for (let attempt = 1; ; attempt++) {
+      if (beforeRequest) await beforeRequest();
+      signal?.throwIfAborted();
+      await waitForThrottle(signal);
+
+      let res = null;
+      let networkError = null;
+      try {
+        res = await attemptFn();
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        networkError = e;
+      }
+
+      if (res && res.ok) {
+        easeThrottle();
+        return res;
+      }
+
+      const status = res ? res.status : null;
+      const retryAfter = res ? parseRetryAfter(res.headers.get("Retry-After")) : null;
+      if (status === 429) {
+        registerRateLimited(retryAfter);
+        this._emit(requestOptions, { type: "throttle", factor: throttleFactor, pause: throttledUntil - Date.now() });
+      }
+
+      const retryable = networkError || RETRYABLE_STATUSES.has(status);
+      if (!retryable || attempt >= maxAttempts) {
+        if (networkError) throw networkError;
+        return res;
+      }
+
+      const delay = this._retryDelay(attempt, retryAfter, retryPolicy);
+      this._emit(requestOptions, { type: "retry", url, attempt, maxAttempts, delay, status, error: networkError });
+      await sleep(delay, signal);
+    }
+  },
+
+  // Rate-limited API request with retries; returns the final response even when it isn't ok.
+  async fetchApiResponse(url, requestOptions = {}) {
+    const { signal } = requestOptions;
+    return this._withRetry(url, async () => {
+      await ensureApiRateLimit();
+      signal?.throwIfAborted();
+      return fetch(url, { headers: { Accept: "text/css" }, signal });
+    }, requestOptions);
+  },
+
+  async fetchJson(url, requestOptions = {}) {
+    const res = await this.fetchApiResponse(url, requestOptions);
     if (!res.ok) {
       const txt = await res.text().catch(() => "Failed to read error response.");
       console.error(`HTTP ${res.status} for ${url}: ${txt}`);
@@ -40,17 +258,71 @@ const HttpClient = {
     return res.json();
   },
 
-  async fetchBlob(url) {
-    await ensureApiRateLimit();
-    const res = await fetch(url, { headers: { Accept: "text/css" } });
-    if (!res.ok) {
-      console.error(`HTTP ${res.status} for asset ${url}`);
-      throw new Error(`Asset request failed: ${res.status}`);
+  // Each attempt takes a pool slot only while downloading, not while backing off.
+  async fetchBlob(url, requestOptions = {}) {
+    const { signal } = requestOptions;
+    this._emit(requestOptions, { type: "asset-queued", url });
+    const pool = this._poolFor(url, requestOptions);
+    try {
+      const res = await this._withRetry(url, () => pool.run(async () => {
+        signal?.throwIfAborted();
+        this._emit(requestOptions, { type: "asset-start", url });
+        const response = await fetch(url, { headers: { Accept: "text/css" }, signal });
+        if (!response.ok) return response;
+        return { ok: true, status: response.status, headers: response.headers, blob: await response.blob() };
+      }), requestOptions);
+      if (!res.ok) {
+        console.error(`HTTP ${res.status} for asset ${url}`);
+        throw new Error(`Asset request failed: ${res.status}`);
+      }
+      this._emit(requestOptions, { type: "asset-done", url, size: res.blob.size });
+      return res.blob;
+    } catch (error) {
+      this._emit(requestOptions, { type: isAbortError(error) ? "asset-cancelled" : "asset-failed", url, error });
+      throw error;
     }
-    return res.blob();
   }
 };
 
+// BUILD CONTROL: cancel (through an AbortSignal) and pause/resume for a running build.
+export class BuildController {
+  constructor() {
+    this.abortController = new AbortController();
+    this.paused = false;
+    this.savePartial = false;
+    this.resumeWaiters = [];
+  }
+
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.resumeWaiters.splice(0).forEach(resolve => resolve());
+  }
+
+  // savePartial: pack and save the chapters finished so far instead of discarding them.
+  cancel({ savePartial = false } = {}) {
+    this.savePartial = savePartial;
+    this.abortController.abort();
+    this.resume();
+  }
+
+  // Resolves when work may continue; throws an AbortError once cancelled.
+  async checkpoint() {
+    this.signal.throwIfAborted();
+    while (this.paused) {
+      await new Promise(resolve => this.resumeWaiters.push(resolve));
+      this.signal.throwIfAborted();
+    }
+  }
+}
+
 export async function fetchTagsList(service, creatorId) {
   const url = `${KEMONO_API_BASE_URL}/${service}/user/${creatorId}/tags`;
   try {
@@ -62,6 +334,32 @@ export async function fetchTagsList(service, creatorId) {
   }
 }
 
+const SERVICE_NAMES = {
+  patreon: "Patreon",
+  fanbox: "Pixiv Fanbox",
+  fantia: "Fantia",
+  afdian: "Afdian",
+  boosty: "Boosty",
+  gumroad: "Gumroad",
+  subscribestar: "SubscribeStar",
+  dlsite: "DLsite",
+  discord: "Discord"
+};
+const MAX_SUBJECTS = 30;
+
+export function serviceDisplayName(service) {
+  return SERVICE_NAMES[service] || service;
+}
+
+export function creatorPageUrl(service, creatorId) {
+  return `${KEMONO_SITE_BASE_URL}/${service}/user/${creatorId}`;
+}
+
+function shortUrl(url) {
+  const name = String(url).split(/[?#]/)[0].split("/").pop();
+  return name.length > 30 ? `${name.substring(0, 30)}…` : name;
+}
+
 // FILENAME HELPERS
 function sanitizeFilename(filename) {
   if (typeof filename !== "string") return "";
@@ -101,6 +399,20 @@ function getMimeType(blob, url) {
   return 'application/octet-stream';
 }
 
+const IMAGE_EXTENSIONS = new Set(["jpg", "jpeg", "png", "gif", "svg", "webp", "bmp", "avif"]);
+const DOCUMENT_EXTENSIONS = new Set(["docx", "txt", "md", "markdown"]);
+
+function getFileExtension(name) {
+  if (!name) return "";
+  const base = String(name).split(/[?#]/)[0].split("/").pop();
+  const dot = base.lastIndexOf(".");
+  return dot > 0 ? base.substring(dot + 1).toLowerCase() : "";
+}
+
+function isImageFilename(name) {
+  return IMAGE_EXTENSIONS.has(getFileExtension(name));
+}
+
 async function processImageBlob(blob, url) {
   const mime = getMimeType(blob, url);
 
@@ -119,10 +431,15 @@ async function processImageBlob(blob, url) {
 
 // CONTENT PARSER
 class KemonoContentParser {
-  constructor(service, creatorId, progressReporter) {
+  constructor(service, creatorId, progressReporter, options = {}) {
     this.service = service;
     this.creatorId = creatorId;
     this.reportProgress = progressReporter;
+    this.zipLib = options.zipLib;
+    this.requestOptions = options.requestOptions || {}; // the build's (HttpClient.createRequestOptions)
+    this.documentPlacement = options.documentPlacement || "auto";
+    this.cleanContent = createContentCleaner(options.contentCleanup); // the creator's boilerplate rules, or null
+    this.persistentCache = !!options.persistentCache; // also keep fetched posts in the IndexedDB post cache
     this.postCache = new Map();
     this.domParser = new DOMParser(); 
     this.xmlSerializer = new XMLSerializer();
@@ -136,14 +453,16 @@ class KemonoContentParser {
     try {
       this.reportProgress(`Fetching post details: ${postId.substring(0, 10)}…`);
       const url = `${KEMONO_API_BASE_URL}/${this.service}/user/${this.creatorId}/post/${postId}`;
-      const data = await HttpClient.fetchJson(url);
+      const data = await HttpClient.fetchJson(url, this.requestOptions);
       const postDetail = data.post || data;
       if (!postDetail || !postDetail.id) {
         throw new Error(`Post data for ${postId} is malformed or missing.`);
       }
       this.postCache.set(postId, postDetail); 
+      if (this.persistentCache) putCachedPosts(this.service, this.creatorId, [postDetail]);
       return postDetail;
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error(`Error fetching post ${postId}:`, error);
       this.reportProgress(`Error fetching post ${postId}…`);
       throw error;
@@ -181,16 +500,19 @@ class KemonoContentParser {
 
       try {
         this.reportProgress(`Bulk page ${i + 1}/${sortedOffsets.length} (offset ${offset})...`);
-        const postsOnPage = await HttpClient.fetchJson(url);
+        const postsOnPage = await HttpClient.fetchJson(url, this.requestOptions);
         if (Array.isArray(postsOnPage)) {
           for (const fullPost of postsOnPage) {
             if (fullPost && fullPost.id) {
               this.postCache.set(String(fullPost.id), fullPost);
             }
           }
+          if (this.persistentCache) await putCachedPosts(this.service, this.creatorId, postsOnPage);
         }
       } catch (error) {
+        if (isAbortError(error)) throw error;
         console.error(`Bulk fetch failed for offset ${offset}:`, error);
+        this.reportProgress(`Bulk page at offset ${offset} failed after retries; those posts will be fetched one by one.`);
       }
     }
   }
@@ -203,31 +525,29 @@ class KemonoContentParser {
 
     const scripts = doc.querySelectorAll('script, .ad-container');
     scripts.forEach(s => s.remove());
+    // Before the images are collected, so images in removed boilerplate are not downloaded.
+    if (this.cleanContent) this.cleanContent(doc);
 
+    const inlinePaths = new Set();
     const imgElements = Array.from(doc.querySelectorAll("img"));
-    for (let i = 0; i < imgElements.length; i++) {
-      const img = imgElements[i];
+    const inlineDownloads = imgElements.map((img, i) => {
       const originalSrc = img.getAttribute("src");
-      if (!originalSrc) continue;
+      if (!originalSrc) return null;
 
       let absoluteSrc = this._normalizeUrl(originalSrc);
-      if (!absoluteSrc) continue;
-
-      try {
-        let rawBlob = await HttpClient.fetchBlob(absoluteSrc);
-        const { blob, mimeType, extension } = await processImageBlob(rawBlob, absoluteSrc);
-        const fileNameInEpub = sanitizeFilename(`inline_${postData.id}_${i}.${extension}`);
-
-        imagesToPackage.push({
-          originalUrl: absoluteSrc,
-          fileNameInEpub,
-          localPathInEpub: `Images/${fileNameInEpub}`,
-          blob,
-          mimeType,
-        });
+      if (!absoluteSrc) return null;
+      inlinePaths.add(this._dataPathFromUrl(absoluteSrc));
+      return handledLater(this._downloadImage(absoluteSrc, `inline_${postData.id}_${i}`));
+    });
 
-        img.setAttribute("src", `../Images/${fileNameInEpub}`);
-      } catch (e) {
+    for (let i = 0; i < imgElements.length; i++) {
+      if (!inlineDownloads[i]) continue;
+      const img = imgElements[i];
+      const imgInfo = await inlineDownloads[i];
+      if (imgInfo) {
+        imagesToPackage.push(imgInfo);
+        img.setAttribute("src", `../Images/${imgInfo.fileNameInEpub}`);
+      } else {
         const alt = img.getAttribute("alt") || "";
         img.setAttribute("alt", `${alt} (Image not available)`);
       }
@@ -235,6 +555,79 @@ class KemonoContentParser {
 
     doc = this._rewriteAllImageReferences(doc, imagesToPackage);
 
+    // Main file and attachments. Images already shown inline are not repeated.
+    const postFiles = this._collectPostFiles(postData);
+    const linkedFiles = [];
+    const documentSections = [];
+    const importedBooks = [];
+    let attachmentImagesDiv = null;
+    let headerImage = null;
+
+    // Start every attachment image download up front; the pool decides how many run at once.
+    const imageDownloads = postFiles.map((file, i) => {
+      if (!file.isImage || inlinePaths.has(file.path)) return null;
+      const baseName = file.isMainFile ? `file_${postData.id}` : `attach_${postData.id}_${i}`;
+      return handledLater(this._downloadImage(file.url, baseName));
+    });
+
+    for (let i = 0; i < postFiles.length; i++) {
+      const file = postFiles[i];
+      if (file.extension === "epub") {
+        const imported = await this._readEpubAttachment(file);
+        if (imported) importedBooks.push({ ...imported, name: file.name });
+        else linkedFiles.push(file);
+        continue;
+      }
+      if (DOCUMENT_EXTENSIONS.has(file.extension)) {
+        const section = await this._convertDocumentAttachment(doc, file, postData, i, imagesToPackage);
+        if (section) documentSections.push(section);
+        else linkedFiles.push(file);
+        continue;
+      }
+      if (!file.isImage) {
+        linkedFiles.push(file);
+        continue;
+      }
+      if (!imageDownloads[i]) continue;
+
+      const imgInfo = await imageDownloads[i];
+      if (!imgInfo) {
+        linkedFiles.push(file);
+        continue;
+      }
+      imagesToPackage.push(imgInfo);
+
+      const wrapper = doc.createElement("div");
+      wrapper.className = file.isMainFile ? "post-header-image" : "post-attachment-image";
+      const img = doc.createElement("img");
+      img.setAttribute("src", `../Images/${imgInfo.fileNameInEpub}`);
+      img.setAttribute("alt", file.name);
+      wrapper.appendChild(img);
+
+      if (file.isMainFile) {
+        headerImage = wrapper;
+      } else {
+        if (!attachmentImagesDiv) {
+          attachmentImagesDiv = doc.createElement("div");
+          attachmentImagesDiv.className = "post-attachment-images";
+        }
+        attachmentImagesDiv.appendChild(wrapper);
+      }
+    }
+
+    // Final order: header image, post text (unless a document replaces it),
+    // converted documents, attachment images, links to everything else.
+    if (documentSections.length > 0 && this._shouldReplacePostText(doc)) {
+      while (doc.body.firstChild) doc.body.removeChild(doc.body.firstChild);
+    }
+    if (headerImage) doc.body.insertBefore(headerImage, doc.body.firstChild);
+    documentSections.forEach(section => doc.body.appendChild(section));
+    if (attachmentImagesDiv) doc.body.appendChild(attachmentImagesDiv);
+
+    if (linkedFiles.length > 0) {
+      doc.body.appendChild(this._buildAttachmentList(doc, linkedFiles));
+    }
+
     let contentOut = "";
     for (let node of doc.body.childNodes) {
         contentOut += this.xmlSerializer.serializeToString(node);
@@ -243,7 +636,142 @@ class KemonoContentParser {
     if (!contentOut) contentOut = "";
     contentOut = contentOut.replace(/ xmlns="http:\/\/www.w3.org\/1999\/xhtml"/g, "");
 
-    return { updatedHtml: contentOut, imagesToPackage };
+    return { updatedHtml: contentOut, imagesToPackage, importedBooks };
+  }
+
+  async _downloadImage(url, baseName) {
+    try {
+      const rawBlob = await HttpClient.fetchBlob(url, this.requestOptions);
+      const { blob, mimeType, extension } = await processImageBlob(rawBlob, url);
+      const fileNameInEpub = sanitizeFilename(`${baseName}.${extension}`);
+      return {
+        originalUrl: url,
+        fileNameInEpub,
+        localPathInEpub: `Images/${fileNameInEpub}`,
+        blob,
+        mimeType,
+      };
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      console.warn(`Image not available: ${url}`, e);
+      return null;
+    }
+  }
+
+  async _convertDocumentAttachment(doc, file, postData, fileIndex, imagesToPackage) {
+    if (file.extension === "docx" && !this.zipLib) return null;
+    try {
+      this.reportProgress(`Converting document: ${file.name.substring(0, 30)}…`);
+      const blob = await HttpClient.fetchBlob(file.url, this.requestOptions);
+      const html = await this._documentBlobToXhtml(blob, file, postData, fileIndex, imagesToPackage);
+      if (!html.trim()) return null;
+
+      const parsed = this.domParser.parseFromString(`<div class="attachment-document">${html}</div>`, "text/html");
+      return doc.importNode(parsed.body.firstChild, true);
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      console.warn(`Could not convert document attachment ${file.name}:`, e);
+      return null;
+    }
+  }
+
+  async _readEpubAttachment(file) {
+    if (!this.zipLib) return null;
+    try {
+      this.reportProgress(`Reading EPUB attachment: ${file.name.substring(0, 30)}…`);
+      const blob = await HttpClient.fetchBlob(file.url, this.requestOptions);
+      const book = await readEpubPackage(blob, this.zipLib);
+      return book.spine.length > 0 ? { book, blob } : null;
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      console.warn(`Could not read EPUB attachment ${file.name}:`, e);
+      return null;
+    }
+  }
+
+  async _documentBlobToXhtml(blob, file, postData, fileIndex, imagesToPackage) {
+    if (file.extension === "txt") {
+      return convertTextToXhtml(decodeTextBuffer(await blob.arrayBuffer()));
+    }
+    if (file.extension === "md" || file.extension === "markdown") {
+      return convertMarkdownToXhtml(decodeTextBuffer(await blob.arrayBuffer()));
+    }
+
+    let imageCounter = 0;
+    const registerImage = async (imageBlob, name) => {
+      const { blob: packed, mimeType, extension } = await processImageBlob(imageBlob, name);
+      const fileNameInEpub = sanitizeFilename(`doc_${postData.id}_${fileIndex}_${imageCounter++}.${extension}`);
+      imagesToPackage.push({
+        originalUrl: `${file.url}#${name}`,
+        fileNameInEpub,
+        localPathInEpub: `Images/${fileNameInEpub}`,
+        blob: packed,
+        mimeType,
+      });
+      return `../Images/${fileNameInEpub}`;
+    };
+    return convertDocxToXhtml(blob, this.zipLib, registerImage);
+  }
+
+  // "replace" and "append" are explicit; "auto" replaces only teaser-sized, image-free post text.
+  _shouldReplacePostText(doc) {
+    if (this.documentPlacement === "replace") return true;
+    if (this.documentPlacement === "append") return false;
+    const text = (doc.body.textContent || "").replace(/\s+/g, " ").trim();
+    return text.length < TEASER_TEXT_MAX_LENGTH && !doc.body.querySelector("img");
+  }
+
+  // Returns the post's main file followed by its attachments, without duplicates.
+  _collectPostFiles(postData) {
+    const files = [];
+    const seenPaths = new Set();
+    const addFile = (entry, isMainFile) => {
+      if (!entry || !entry.path || seenPaths.has(entry.path)) return;
+      seenPaths.add(entry.path);
+      const name = entry.name || entry.path.split("/").pop();
+      files.push({
+        name,
+        path: entry.path,
+        url: `${KEMONO_DATA_BASE_URL}${entry.path}`,
+        isMainFile,
+        extension: getFileExtension(name) || getFileExtension(entry.path),
+        isImage: isImageFilename(name) || isImageFilename(entry.path)
+      });
+    };
+
+    addFile(postData.file, true);
+    if (Array.isArray(postData.attachments)) {
+      postData.attachments.forEach(a => addFile(a, false));
+    }
+    return files;
+  }
+
+  _dataPathFromUrl(url) {
+    try {
+      return new URL(url).pathname.replace(/^\/data(?=\/)/, "");
+    } catch {
+      return url;
+    }
+  }
+
+  _buildAttachmentList(doc, files) {
+    const section = doc.createElement("div");
+    section.className = "post-attachments";
+    const heading = doc.createElement("h2");
+    heading.textContent = "Attachments";
+    section.appendChild(heading);
+
+    const list = doc.createElement("ul");
+    files.forEach(file => {
+      const li = doc.createElement("li");
+      const a = doc.createElement("a");
+      a.setAttribute("href", `${file.url}?f=${encodeURIComponent(file.name)}`);
+      a.textContent = file.name;
+      li.appendChild(a);
+      list.appendChild(li);
+    });
+    section.appendChild(list);
+    return section;
   }
 
   _normalizeUrl(originalSrc) {
@@ -327,6 +855,7 @@ export async function fetchPostListPage(
       id: String(p.id),
       title: p.title || `Untitled Post ${p.id}`,
       published: p.published,
+      edited: p.edited || null,
       originalOffset: offset
     }))};
   } catch (error) {
@@ -334,6 +863,18 @@ export async function fetchPostListPage(
   }
 }
 
+// One post with its content, e.g. as a sample for cleanup rules; reuses the post cache.
+export async function fetchPostDetail(service, creatorId, stub) {
+  const postId = String(stub.id);
+  const cached = await getCachedPost(service, creatorId, postId, postVersion(stub));
+  if (cached) return cached;
+  const data = await HttpClient.fetchJson(`${KEMONO_API_BASE_URL}/${service}/user/${creatorId}/post/${postId}`);
+  const post = data.post || data;
+  if (!post || !post.id) throw new Error(`Post data for ${postId} is malformed or missing.`);
+  await putCachedPosts(service, creatorId, [post]);
+  return post;
+}
+
 export async function fetchCreatorProfile(service, creatorId) {
     const profileUrl = `${KEMONO_API_BASE_URL}/${service}/user/${creatorId}/profile`;
     let postCount = 0;
@@ -349,8 +890,7 @@ export async function fetchCreatorProfile(service, creatorId) {
   
     const largeOffsetUrl = `${KEMONO_API_BASE_URL}/${service}/user/${creatorId}/posts?o=${LARGE_OFFSET_FOR_COUNT}`;
     try {
-      await ensureApiRateLimit();
-      const response = await fetch(largeOffsetUrl, { headers: { Accept: "text/css" } });
+      const response = await HttpClient.fetchApiResponse(largeOffsetUrl);
       const text = await response.text();
   
       if (response.status === 400) {
@@ -381,44 +921,152 @@ export async function generateKemonoEpub(
   const ZipLib = (typeof JSZip !== "undefined") ? JSZip : (window.JSZip || undefined);
   if (!ZipLib) throw new Error("JSZip library not found.");
   
-  const SaverLib = (typeof saveAs !== "undefined") ? saveAs : (window.saveAs || undefined);
-  if (!SaverLib) throw new Error("FileSaver.js library not found.");
+
+  // PER-ASSET AND RETRY PROGRESS (asset counts are throttled so big books don't flood the UI)
+  const assetStats = { queued: 0, done: 0, failed: 0, bytes: 0 };
+  let stageMessage = "";
+  let lastAssetReport = 0;
+  const reportAssets = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastAssetReport < ASSET_PROGRESS_INTERVAL) return;
+    lastAssetReport = now;
+    const failed = assetStats.failed ? `, ${assetStats.failed} failed` : "";
+    const mb = (assetStats.bytes / (1024 * 1024)).toFixed(1);
+    progressCallback(-1, `${stageMessage} | Assets ${assetStats.done}/${assetStats.queued} (${mb} MB${failed})`);
+  };
+  // Downloads still settling once the chapters are packed report nothing more.
+  let httpEventsOpen = true;
+  const handleHttpEvent = (event) => {
+    if (!httpEventsOpen) return;
+    switch (event.type) {
+      case "asset-queued":
+        assetStats.queued++;
+        break;
+      case "asset-done":
+        assetStats.done++;
+        assetStats.bytes += event.size || 0;
+        break;
+      case "asset-failed":
+        assetStats.failed++;
+        reportAssets(true);
+        return;
+      case "retry": {
+        const reason = event.status ? `HTTP ${event.status}` : "network error";
+        progressCallback(-1, `${reason} for ${shortUrl(event.url)} – retry ${event.attempt}/${event.maxAttempts - 1} in ${(event.delay / 1000).toFixed(1)}s`);
+        return;
+      }
+      case "throttle":
+        progressCallback(-1, `Rate limited by Kemono – slowing down (pausing ${(event.pause / 1000).toFixed(1)}s)`);
+        return;
+      default:
+        return;
+    }
+    reportAssets();
+  };
+
+  // Optional BuildController: cancellation aborts in-flight requests, pausing holds new ones.
+  const controller = options.controller || null;
+  const requestOptions = HttpClient.createRequestOptions({
+    assetConcurrency: options.assetConcurrency,
+    maxAttempts: options.retryAttempts,
+    maxRetryDelay: options.retryMaxDelay,
+    signal: controller?.signal,
+    beforeRequest: controller ? () => controller.checkpoint() : undefined,
+    onEvent: handleHttpEvent
+  });
+
+  // Optional BuildCheckpoint: processed posts are saved as they finish and reused on resume.
+  const checkpoint = options.checkpoint || null;
+  const checkpointedIds = checkpoint ? await checkpoint.listPostIds() : new Set();
 
   const parserProgress = (msg) => progressCallback(-1, msg);
   const parser = new KemonoContentParser(
     creatorInfo.service,
     creatorInfo.creatorId,
-    parserProgress
+    parserProgress,
+    {
+      zipLib: ZipLib,
+      documentPlacement: options.documentPlacement,
+      contentCleanup: options.contentCleanup,
+      persistentCache: options.persistentCache,
+      requestOptions
+    }
   );
 
-  selectedPostStubs.forEach(stub => {
+  // UPDATE MODE: a book generated earlier is the base; its chapters are copied unless a newer version was selected.
+  const base = options.baseEpub ? await readBaseEpub(options.baseEpub, ZipLib, creatorInfo) : null;
+  const plan = buildPostPlan(selectedPostStubs, base, options.chapterOrder);
+  const stubsToFetch = plan.filter(entry => !entry.kept).map(entry => entry.stub);
+  if (base) {
+    progressCallback(3, `Updating "${base.book.title}": ${plan.length - stubsToFetch.length} chapter(s) kept, ${stubsToFetch.length} post(s) to fetch.`);
+  }
+
+  stubsToFetch.forEach(stub => {
     if (stub.content) parser.postCache.set(String(stub.id), stub);
   });
 
   const displayName = (creatorInfo.creatorName || "Unknown").trim();
   const uuid = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
 
+  // options.bookMetadata overrides the creator-name defaults. Volumes of a split selection are numbered books of
+  // one series: the given series (counting on from its number) or one named after the book.
+  const book = options.bookMetadata || {};
+  const title = (book.title || "").trim() || displayName;
+  const volume = options.volume || null;
+  let series = (book.series || "").trim() ? { title: book.series.trim(), index: Number(book.seriesIndex) || 1 } : null;
+  if (volume) series = series ? { ...series, index: series.index + volume.number - 1 } : { title, index: volume.number };
   const packer = new EpubPacker({
-    title: displayName,
-    author: displayName,
-    uuid: `urn:uuid:${uuid}`,
-    language: "en"
+    title: volume ? `${title} – Volume ${volume.number}` : title,
+    subtitle: (book.subtitle || "").trim(),
+    author: (book.author || "").trim() || displayName,
+    authorFileAs: (book.authorFileAs || "").trim(),
+    series,
+    uuid: base && base.book.identifier ? base.book.identifier : `urn:uuid:${uuid}`,
+    language: "en",
+    source: `${creatorInfo.service}/${creatorInfo.creatorId}`
   }, ZipLib); 
 
-  packer.addStylesheet(`.epub-cover-image-container { text-align: center; } img { max-width: 100%; }`);
+  packer.addStylesheet(`.epub-cover-image-container { text-align: center; } img { max-width: 100%; }
+.post-header-image, .post-attachment-image { text-align: center; margin: 1em 0; }
+.post-attachments { margin-top: 2em; }
+.center { text-align: center; } .right { text-align: right; } .subtitle { font-style: italic; }
+.scene-break { text-align: center; margin: 1.5em 0; }
+.volume-divider h1 { text-align: center; margin-top: 35%; }`);
 
   if (options.coverImageUrl) {
     try {
-      const rawBlob = await HttpClient.fetchBlob(options.coverImageUrl);
+      const rawBlob = await HttpClient.fetchBlob(options.coverImageUrl, requestOptions);
       const { blob, mimeType, extension } = await processImageBlob(rawBlob, options.coverImageUrl);
       await packer.addCoverImage(blob, `cover.${extension}`, mimeType);
       progressCallback(5, "Cover image processed.");
     } catch (e) {
+      if (isAbortError(e)) throw e;
       console.warn("Cover image error:", e);
     }
   }
 
-  const postsNeedingFetch = selectedPostStubs.filter(s => !s.content);
+  if (checkpointedIds.size > 0) {
+    progressCallback(8, `Resuming: ${checkpointedIds.size} post(s) restored from the last attempt.`);
+  }
+
+  // Cached bodies are reused only while their version still matches the listing's edited/published stamp.
+  if (options.persistentCache) {
+    let fromCache = 0;
+    for (const stub of stubsToFetch) {
+      const id = String(stub.id);
+      if (stub.content || checkpointedIds.has(id)) continue;
+      const cachedPost = await getCachedPost(creatorInfo.service, creatorInfo.creatorId, id, postVersion(stub));
+      if (cachedPost) {
+        parser.postCache.set(id, cachedPost);
+        fromCache++;
+      }
+    }
+    if (fromCache > 0) progressCallback(9, `${fromCache} post(s) loaded from cache.`);
+  }
+
+  const postsNeedingFetch = stubsToFetch.filter(s =>
+    !s.content && !checkpointedIds.has(String(s.id)) && !parser.postCache.has(String(s.id))
+  );
   if (postsNeedingFetch.length > 0) {
     progressCallback(10, `Preparing for bulk fetch (${postsNeedingFetch.length} posts)...`);
     try {
@@ -427,70 +1075,177 @@ export async function generateKemonoEpub(
         tagFilter: options.tagFilter
       });
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error("Bulk fetch prep failed:", error);
     }
   }
 
-  const numPosts = selectedPostStubs.length;
+  const numPosts = plan.length;
   const processedPosts = [];
   const updateFrequency = Math.min(50, Math.max(10, Math.floor(numPosts / 100)));
   
   // TRACKER FOR FILENAME UNIQUENESS
   // Set contains lowercase versions of all filenames used so far
   const usedFilenames = new Set();
+  // Headings and TOC entries use the creator's title rules; {n} counts on from earlier volumes.
+  const rewriteTitle = createTitleRewriter(options.titleRules);
+  const firstChapterNumber = options.firstChapterNumber || 1;
+  // Kept chapters keep their file names and image ids, so new content must not reuse them.
+  plan.forEach(entry => {
+    if (!entry.kept) return;
+    usedFilenames.add(entry.kept.filename.toLowerCase());
+    entry.kept.items.forEach(id => packer.usedImageIds.add(id));
+  });
 
-  for (let i = 0; i < numPosts; i++) {
-    if (i % 10 === 0) {
-      await new Promise(resolve => setTimeout(resolve, 0));
-    }
+  // Posts are fetched and processed up to POST_PIPELINE_DEPTH ahead, but packed strictly in order.
+  const inFlight = new Map();
+  const startProcessing = (index) => {
+    if (index >= numPosts || inFlight.has(index) || plan[index].kept) return;
+    const promise = (async () => {
+      const postId = String(plan[index].stub.id);
+      if (checkpointedIds.has(postId)) {
+        const saved = await checkpoint.loadPost(postId);
+        if (saved) return restoreCheckpointedPost(saved, ZipLib);
+      }
+      const post = await parser.fetchPostFullData(postId);
+      if (!post) return null;
+      const result = { post, ...(await parser.processPostImagesAndContent(post)) };
+      if (checkpoint) {
+        await checkpoint.savePost(postId, {
+          post,
+          updatedHtml: result.updatedHtml,
+          imagesToPackage: result.imagesToPackage,
+          importedBooks: result.importedBooks.map(({ name, blob }) => ({ name, blob }))
+        });
+      }
+      return result;
+    })();
+    promise.catch(() => {}); // Rejections surface when the post's turn comes.
+    inFlight.set(index, promise);
+  };
+
+  // Copies a chapter of the base book, with its images and imported EPUBs, unchanged.
+  const keepChapter = async (kept) => {
+    await packer.copyItemsFrom(base.book, kept.items);
+    processedPosts.push({
+      ...kept,
+      title: kept.heading || kept.title,
+      sourceTitle: kept.title,
+      children: tocChildrenFor(base.book, `${dirOf(base.book.opfPath)}/Text/${kept.filename}.xhtml`)
+    });
+  };
 
-    const stub = selectedPostStubs[i];
+  let cancelledEarly = false;
+  let remainingStubs = [];
+  let nextIndex = 0;
+  try {
+    for (let i = 0; i < numPosts; i++) {
+      nextIndex = i;
+      await controller?.checkpoint();
+      if (i % 10 === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
 
-    if (i === 0 || i === numPosts - 1 || i % updateFrequency === 0) {
-      const percent = 15 + ((i / numPosts) * 70);
-      progressCallback(
-        percent,
-        `Processing: ${i + 1}/${numPosts} - ${stub.title.substring(0, 20)}…`
-      );
-    }
+      const { stub, kept } = plan[i];
 
-    const post = await parser.fetchPostFullData(stub.id);
-    if (!post) continue;
+      if (i === 0 || i === numPosts - 1 || i % updateFrequency === 0) {
+        const percent = 15 + ((i / numPosts) * 70);
+        stageMessage = `Processing: ${i + 1}/${numPosts} - ${stub.title.substring(0, 20)}…`;
+        progressCallback(percent, stageMessage);
+      }
 
-    const { updatedHtml, imagesToPackage } =
-      await parser.processPostImagesAndContent(post);
+      if (kept) {
+        await keepChapter(kept);
+        continue;
+      }
 
-    for (const imgInfo of imagesToPackage) {
-      await packer.addImageToManifest(imgInfo);
-    }
+      for (let k = i; k < i + POST_PIPELINE_DEPTH; k++) startProcessing(k);
+      const result = await inFlight.get(i);
+      inFlight.delete(i);
+      await controller?.checkpoint();
+      if (!result) continue;
 
-    // --- ROBUST FILENAME GENERATION START ---
-    let baseStrict = sanitizeBasenameForXhtmlStrict(post.title || `Chapter_${i}`);
-    let candidate = baseStrict;
-    let counter = 1;
+      const { post, updatedHtml, imagesToPackage, importedBooks } = result;
+      const firstItem = packer.manifestItems.length;
+
+      for (const imgInfo of imagesToPackage) {
+        await packer.addImageToManifest(imgInfo);
+      }
+
+      // --- ROBUST FILENAME GENERATION START ---
+      let baseStrict = sanitizeBasenameForXhtmlStrict(post.title || `Chapter_${i}`);
+      let candidate = baseStrict;
+      let counter = 1;
     
-    // Check against lowercase set to ensure case-insensitive uniqueness
-    while (usedFilenames.has(candidate.toLowerCase())) {
-        const suffix = counter.toString().padStart(2, '0');
-        candidate = `${baseStrict}_${suffix}`;
-        counter++;
-    }
+      // Check against lowercase set to ensure case-insensitive uniqueness
+      while (usedFilenames.has(candidate.toLowerCase())) {
+          const suffix = counter.toString().padStart(2, '0');
+          candidate = `${baseStrict}_${suffix}`;
+          counter++;
+      }
     
-    baseStrict = candidate;
-    usedFilenames.add(baseStrict.toLowerCase());
-    // --- ROBUST FILENAME GENERATION END ---
+      baseStrict = candidate;
+      usedFilenames.add(baseStrict.toLowerCase());
+      // --- ROBUST FILENAME GENERATION END ---
     
-    processedPosts.push({ 
-        title: post.title || "Untitled Post", 
-        id: stub.id,
-        filename: baseStrict 
-    });
+      const sourceTitle = post.title || "Untitled Post";
+      const heading = rewriteTitle(sourceTitle, firstChapterNumber + processedPosts.length);
+      packer.addChapter(heading, updatedHtml, `ch-${baseStrict}`);
+
+      // Attached EPUBs follow the post's chapter; their TOC nests under the post's entry.
+      const children = [];
+      for (let b = 0; b < importedBooks.length; b++) {
+        const { book, name } = importedBooks[b];
+        const { toc, firstHref } = await packer.addImportedBook(book, `imp_${stub.id}_${b}`);
+        const bookTitle = book.title || name;
+        if (importedBooks.length === 1 && toc.length > 0) {
+          children.push(...toc);
+        } else {
+          children.push({ title: bookTitle, href: firstHref, children: toc });
+        }
+      }
 
-    packer.addChapter(post.title || "Untitled Post", updatedHtml, `ch-${baseStrict}`);
+      processedPosts.push({ 
+          title: heading,
+          sourceTitle,
+          id: stub.id,
+          filename: baseStrict,
+          children,
+          published: post.published || stub.published || null,
+          tags: Array.isArray(post.tags) ? post.tags : [],
+          version: postVersion(post),
+          items: packer.manifestItems.slice(firstItem).map(item => item.id)
+      });
+
+      // options.maxVolumeBytes: the posts after the one that filled the volume are left for the next volume.
+      if (options.maxVolumeBytes && packer.byteSize >= options.maxVolumeBytes && i < numPosts - 1) {
+        remainingStubs = plan.slice(i + 1).map(entry => entry.stub);
+        break;
+      }
+    }
+  } catch (error) {
+    // "Stop & save" keeps every chapter finished so far; a plain cancel discards them.
+    if (!isAbortError(error) || !controller?.savePartial || processedPosts.length === 0) throw error;
+    cancelledEarly = true;
+    progressCallback(-1, `Cancelled – saving ${processedPosts.length} finished chapter(s)...`);
+    // An update must not lose the base book's remaining chapters.
+    for (let i = nextIndex; i < numPosts; i++) {
+      if (plan[i].kept) await keepChapter(plan[i].kept);
+    }
+  } finally {
+    httpEventsOpen = false;
   }
+  packer.metadata.sourcePosts = processedPosts.map(({ id, title, sourceTitle, filename, published, version, items }) =>
+    ({ id: String(id), title: sourceTitle || title, heading: title, filename, published, version, items }));
+  if (assetStats.queued > 0) reportAssets(true);
+
+  await addBookMetadata(packer, creatorInfo, processedPosts, options);
 
   if (processedPosts.length > 0) {
-    packer.addTableOfContents(processedPosts);
+    packer.addTableOfContents(processedPosts, {
+      groupOf: createTocGrouper(options.tocGrouping),
+      dividers: !!options.tocGrouping?.dividers
+    });
   }
 
   progressCallback(90, "Building EPUB structure...");
@@ -498,9 +1253,234 @@ export async function generateKemonoEpub(
   
   const epubBlob = await packer.packToBlob();
   progressCallback(100, "EPUB generated – download started!");
-  const fileName = sanitizeFilename(options.fileName || `${displayName}.epub`);
+  let fileName = sanitizeFilename(options.fileName || `${displayName}.epub`);
+  if (cancelledEarly) fileName = fileName.replace(/(\.epub)?$/i, " (partial)$1");
   
-  SaverLib(epubBlob, fileName);
+  const postIds = processedPosts.map(post => String(post.id));
+
+  // With options.save === false nothing is saved or recorded here; the caller takes the returned blob (background builds).
+  if (options.save !== false) {
+    await saveEpubBlob(epubBlob, fileName, creatorInfo);
+    try {
+      await recordDownload({ creatorInfo, postIds, fileName, options, partial: cancelledEarly });
+    } catch (e) {
+      console.warn("Could not record download history:", e);
+    }
+  }
+  return { blob: epubBlob, fileName, postIds, partial: cancelledEarly, remainingStubs };
+}
+
+// BOOK METADATA
+// dc:date is the first packed post's date, dc:source the creator's Kemono page and dc:subject the posts' tags
+// (or the creator's most used tags when no packed post has any, as in an update that fetched nothing new).
+async function addBookMetadata(packer, creatorInfo, posts, options) {
+  const { service, creatorId } = creatorInfo;
+  const dates = posts.map(p => new Date(p.published || 0).getTime()).filter(time => time > 0).sort((a, b) => a - b);
+  const counts = new Map();
+  posts.forEach(p => (p.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  let subjects = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([tag]) => tag);
+  if (subjects.length === 0) {
+    subjects = (await fetchTagsList(service, creatorId))
+      .sort((a, b) => b.post_count - a.post_count)
+      .map(t => t.tag);
+  }
+
+  const creatorName = (creatorInfo.creatorName || creatorId).trim();
+  const day = (time) => new Date(time).toISOString().substring(0, 10);
+  const first = dates.length > 0 ? day(dates[0]) : null;
+  const last = dates.length > 0 ? day(dates[dates.length - 1]) : null;
+  const range = !first ? "" : first === last ? `, ${first}` : `, ${first} to ${last}`;
+  Object.assign(packer.metadata, {
+    date: first,
+    publisher: `${serviceDisplayName(service)} (via Kemono)`,
+    sourceUrl: creatorPageUrl(service, creatorId),
+    subjects: subjects.slice(0, MAX_SUBJECTS),
+    description: (options.description || "").trim() ||
+      `${posts.length} post(s) by ${creatorName} on ${serviceDisplayName(service)}${range}.`
+  });
+}
+
+// VOLUMES
+// A large selection can be split into several books: every `chapters` posts, at the book/volume boundaries found
+// by the TOC grouping, or once a book holds about `sizeMb` of content (decided while it is built).
+export const VOLUME_SPLIT_MODES = ["none", "chapters", "groups", "size"];
+export const DEFAULT_VOLUME_SPLIT = { mode: "none", chapters: 200, sizeMb: 100 };
+
+// Splits stubs into volumes ahead of the build; "size" volumes are cut by the generator instead.
+export function planVolumes(stubs, volumeSplit, tocGrouping) {
+  const split = { ...DEFAULT_VOLUME_SPLIT, ...volumeSplit };
+  if (split.mode === "chapters") {
+    const size = Math.max(1, split.chapters);
+    const volumes = [];
+    for (let i = 0; i < stubs.length; i += size) volumes.push(stubs.slice(i, i + size));
+    return volumes;
+  }
+  if (split.mode === "groups") {
+    const groupOf = createTocGrouper(tocGrouping);
+    if (!groupOf) return [stubs];
+    // Posts outside any group stay with the volume before them.
+    const volumes = [];
+    let currentLabel = null;
+    stubs.forEach(stub => {
+      const label = groupOf(stub.title);
+      if (volumes.length === 0 || (label && label !== currentLabel)) {
+        volumes.push([]);
+        if (label) currentLabel = label;
+      }
+      volumes[volumes.length - 1].push(stub);
+    });
+    return volumes;
+  }
+  return [stubs];
+}
+
+/**
+ * Builds the selection as one book, or as numbered volumes when options.volumeSplit asks for it (never in update
+ * mode). Each volume gets its own cover, TOC, "- Volume N" filename and Calibre series metadata.
+ * @returns {Promise<object[]>} generateKemonoEpub results in volume order. After "Stop & save" the last one is
+ *   partial and no further volumes are built.
+ */
+export async function generateKemonoEpubVolumes(creatorInfo, selectedPostStubs, options, progressCallback) {
+  const split = { ...DEFAULT_VOLUME_SPLIT, ...options.volumeSplit };
+  if (split.mode === "none" || options.baseEpub) {
+    return [await generateKemonoEpub(creatorInfo, selectedPostStubs, options, progressCallback)];
+  }
+
+  const bookTitle = (options.bookMetadata?.title || "").trim() || (creatorInfo.creatorName || "Unknown").trim();
+  const baseName = (options.fileName || `${bookTitle}.epub`).replace(/\.epub$/i, "");
+  const pending = planVolumes(selectedPostStubs, split, options.tocGrouping);
+  const total = selectedPostStubs.length;
+  const volumes = [];
+  let done = 0;
+  for (let number = 1; pending.length > 0; number++) {
+    const stubs = pending.shift();
+    const result = await generateKemonoEpub(
+      creatorInfo,
+      stubs,
+      {
+        ...options,
+        fileName: `${baseName} - Volume ${number}.epub`,
+        volume: { number },
+        firstChapterNumber: done + 1,
+        maxVolumeBytes: split.mode === "size" ? split.sizeMb * 1024 * 1024 : 0
+      },
+      (currentProgress, message) => progressCallback(
+        currentProgress >= 0 ? Math.min(99, ((done + (currentProgress / 100) * stubs.length) / total) * 100) : -1,
+        `Volume ${number}: ${message}`
+      )
+    );
+    volumes.push(result);
+    done += result.postIds.length;
+    if (result.partial) break;
+    if (result.remainingStubs.length > 0) pending.unshift(result.remainingStubs);
+  }
+  progressCallback(100, `${volumes.length} volume(s) generated.`);
+  return volumes;
+}
+
+// UPDATE MODE HELPERS
+// Books record their source in the OPF as <meta name="kemono:source"> ("service/creatorId") and
+// <meta name="kemono:posts">, a JSON list of {id, title: the post's own title, heading: the chapter heading after
+// title rules, filename, published, version, items: manifest ids}.
+function parseSourceMeta(meta) {
+  if (!meta["kemono:source"] || !meta["kemono:posts"]) return null;
+  try {
+    const posts = JSON.parse(meta["kemono:posts"]);
+    return Array.isArray(posts) ? { source: meta["kemono:source"], posts } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Reads the source posts recorded in a book generated by this extension.
+ * @param {Blob} blob - The .epub file.
+ * @returns {Promise<object|null>} { title, source: "service/creatorId", posts: [{id, title, published, version, ...}] },
+ *   or null when the book has no source metadata.
+ */
+export async function readEpubSourceInfo(blob) {
+  const ZipLib = (typeof JSZip !== "undefined") ? JSZip : (window.JSZip || undefined);
+  if (!ZipLib) throw new Error("JSZip library not found.");
+  const book = await readEpubPackage(blob, ZipLib);
+  const info = parseSourceMeta(book.meta);
+  return info ? { title: book.title, ...info } : null;
+}
+
+async function readBaseEpub(blob, ZipLib, creatorInfo) {
+  const book = await readEpubPackage(blob, ZipLib);
+  const info = parseSourceMeta(book.meta);
+  if (!info) {
+    throw new Error("This EPUB has no Kemono source metadata, so it cannot be updated. Create a new book instead.");
+  }
+  if (info.source !== `${creatorInfo.service}/${creatorInfo.creatorId}`) {
+    throw new Error(`This EPUB was made from a different creator (${info.source}).`);
+  }
+  return { book, posts: info.posts };
+}
+
+// Reading order as [{stub, kept}]: `kept` is the base book's record when its chapter is reused as-is.
+// Selected posts that are new, or whose edited/published stamp changed, are (re)fetched.
+// Without a base book the selection is already in reading order. With one, the chapters are sorted by `chapterOrder`;
+// a manual order keeps the base book's order and adds new posts at the end in the order they were selected.
+function buildPostPlan(selectedPostStubs, base, chapterOrder) {
+  if (!base) return selectedPostStubs.map(stub => ({ stub, kept: null }));
+
+  const plan = base.posts.map(p => ({ stub: { id: p.id, title: p.title, published: p.published }, kept: p }));
+  const byId = new Map(plan.map(entry => [entry.stub.id, entry]));
+  for (const stub of selectedPostStubs) {
+    const entry = byId.get(String(stub.id));
+    if (!entry) {
+      plan.push({ stub, kept: null });
+    } else if (postVersion(stub) && postVersion(stub) !== entry.kept.version) {
+      entry.stub = stub;
+      entry.kept = null;
+    }
+  }
+  if (chapterOrder?.mode === "manual") return plan;
+  const entries = new Map(plan.map(entry => [entry.stub, entry]));
+  return orderPosts(plan.map(entry => entry.stub), chapterOrder).map(stub => entries.get(stub));
+}
+
+function dirOf(path) {
+  const slash = path.lastIndexOf("/");
+  return slash === -1 ? "" : path.substring(0, slash);
+}
+
+// Nested TOC entries (from imported EPUBs) under a chapter of the base book, as OEBPS-relative hrefs.
+function tocChildrenFor(book, chapterPath) {
+  const opfDir = dirOf(book.opfPath);
+  const toHref = (target) => {
+    const relative = opfDir ? target.path.substring(opfDir.length + 1) : target.path;
+    return relative.split("/").map(encodeURIComponent).join("/") + (target.fragment ? `#${target.fragment}` : "");
+  };
+  const mapEntries = (entries) => entries.map(e => ({
+    title: e.title,
+    href: e.target ? toHref(e.target) : null,
+    children: mapEntries(e.children)
+  }));
+  const find = (entries) => {
+    for (const e of entries) {
+      if (e.target && e.target.path === chapterPath && !e.target.fragment) return e;
+      const nested = find(e.children);
+      if (nested) return nested;
+    }
+    return null;
+  };
+  const entry = find(book.toc);
+  return entry ? mapEntries(entry.children) : [];
+}
+
+// Rebuilds a processed post from its checkpoint record; attached EPUBs are re-read from their saved blobs.
+async function restoreCheckpointedPost(saved, ZipLib) {
+  const importedBooks = [];
+  for (const { name, blob } of saved.importedBooks || []) {
+    try {
+      importedBooks.push({ book: await readEpubPackage(blob, ZipLib), blob, name });
+    } catch (e) {
+      console.warn(`Could not restore EPUB attachment ${name}:`, e);
+    }
+  }
+  return { ...saved, importedBooks };
 }
 
 // EPUB PACKER
@@ -517,6 +1497,7 @@ class EpubPacker {
     this.spineOrder = [];
     this.tocEntries = [];
     this.fileCounter = 0;
+    this.byteSize = 0; // uncompressed size of the content added so far, for splitting by size
     this.imageIdCounter = 0; 
     this.usedImageIds = new Set();
     this.usedImagePaths = new Set();
@@ -531,6 +1512,7 @@ class EpubPacker {
     const imageId = "cover-image";
     const imagePath = `Images/${fileNameInEpub}`;
     this.imagesFolder.file(fileNameInEpub, imageBlob);
+    this.byteSize += imageBlob.size;
     this.manifestItems.push({
       id: imageId,
       href: imagePath,
@@ -557,9 +1539,83 @@ class EpubPacker {
     this.usedImageIds.add(imageId);
     
     this.imagesFolder.file(fileNameInEpub, blob);
+    this.byteSize += blob.size;
     this.manifestItems.push({ id: imageId, href: `Images/${fileNameInEpub}`, mediaType: mimeType });
   }
 
+  // Copies an imported EPUB's files under OEBPS/Imported/<prefix>/, keeping their relative layout so
+  // internal links and stylesheet references still resolve, and appends its spine after the current chapter.
+  async addImportedBook(book, prefix) {
+    const basePath = `Imported/${prefix}`;
+    const toHref = (path) => `${basePath}/${path}`.split("/").map(encodeURIComponent).join("/");
+    const idMap = new Map();
+
+    for (const item of book.items.values()) {
+      if (item.id === book.ncxItemId) continue;
+      if (item.id === book.navItemId && !book.spine.includes(item.id)) continue;
+      const file = book.zip.file(item.path);
+      if (!file) continue;
+
+      const data = await file.async("uint8array");
+      this.oebps.file(`${basePath}/${item.path}`, data);
+      this.byteSize += data.length;
+      const id = `${prefix}-${item.id}`.replace(/[^A-Za-z0-9._-]/g, "_");
+      idMap.set(item.id, id);
+      const properties = item.properties.filter(p => p !== "nav" && p !== "cover-image").join(" ");
+      this.manifestItems.push({
+        id,
+        href: toHref(item.path),
+        mediaType: item.mediaType,
+        ...(properties ? { properties } : {})
+      });
+    }
+
+    book.spine.forEach(id => {
+      if (idMap.has(id)) this.spineOrder.push(idMap.get(id));
+    });
+
+    const mapEntries = (entries) => entries.map(e => ({
+      title: e.title,
+      href: e.target ? `${toHref(e.target.path)}${e.target.fragment ? `#${e.target.fragment}` : ""}` : null,
+      children: mapEntries(e.children)
+    }));
+    const firstSpineItem = book.items.get(book.spine.find(id => idMap.has(id)));
+    return {
+      toc: mapEntries(book.toc),
+      firstHref: firstSpineItem ? toHref(firstSpineItem.path) : null
+    };
+  }
+
+  // Copies manifest items (by id) of a book made by this packer, keeping their ids and paths.
+  async copyItemsFrom(book, ids) {
+    const opfDir = dirOf(book.opfPath);
+    const copied = new Set();
+    for (const id of ids) {
+      const item = book.items.get(id);
+      const file = item && book.zip.file(item.path);
+      if (!file) continue;
+      const relative = opfDir ? item.path.substring(opfDir.length + 1) : item.path;
+      const data = await file.async("uint8array");
+      this.oebps.file(relative, data);
+      this.byteSize += data.length;
+      const properties = item.properties.filter(p => p !== "nav" && p !== "cover-image").join(" ");
+      this.manifestItems.push({
+        id,
+        href: relative.split("/").map(encodeURIComponent).join("/"),
+        mediaType: item.mediaType,
+        ...(properties ? { properties } : {})
+      });
+      if (relative.startsWith("Images/")) {
+        this.usedImageIds.add(id);
+        this.usedImagePaths.add(relative.substring("Images/".length));
+      }
+      copied.add(id);
+    }
+    book.spine.forEach(id => {
+      if (copied.has(id)) this.spineOrder.push(id);
+    });
+  }
+
   addContainerXml(){
       this.zip.folder("META-INF").file("container.xml", `<?xml version="1.0" encoding="UTF-8"?>
 <container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>`);
@@ -573,18 +1629,76 @@ class EpubPacker {
 <head><title>${escapeXml(title)}</title><link rel="stylesheet" type="text/css" href="../Styles/stylesheet.css"/></head>
 <body><h1>${escapeXml(title)}</h1>${htmlContent}</body></html>`;
       this.textFolder.file(fileName, xhtml);
+      this.byteSize += xhtml.length;
       this.manifestItems.push({ id: chapterId, href: `Text/${fileName}`, mediaType: "application/xhtml+xml" });
       this.spineOrder.push(chapterId);
   }
 
-  addTableOfContents(posts) {
-     const tocXhtml = `<?xml version="1.0" encoding="UTF-8"?><html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><head><title>Table of Contents</title><link rel="stylesheet" type="text/css" href="../Styles/stylesheet.css"/></head><body class="toc-page"><nav epub:type="toc" id="toc"><h1>Table of Contents</h1><ol class="toc-list">${posts.map(p=>`<li><a href="${p.filename}.xhtml">${escapeXml(p.title)}</a></li>`).join("")}</ol></nav></body></html>`;
+  // groupOf (title -> label or null) nests consecutive chapters with the same label under one entry; with
+  // dividers each group also gets a title page in front of its first chapter, which the entry links to.
+  addTableOfContents(posts, { groupOf = null, dividers = false } = {}) {
+     // Entry hrefs are relative to OEBPS/; children come from imported EPUBs.
+     const chapterEntry = p => ({ rawTitle: p.title, href: `Text/${p.filename}.xhtml`, children: this._toTocEntries(p.children) });
+     this.tocEntries = [];
+     let group = null;
+     posts.forEach(p => {
+       const label = groupOf ? groupOf(p.sourceTitle || p.title) : null;
+       if (!label) {
+         group = null;
+         this.tocEntries.push(chapterEntry(p));
+         return;
+       }
+       if (!group || group.rawTitle !== label) {
+         group = { rawTitle: label, href: dividers ? this.addVolumeDivider(label, p.items || []) : null, children: [] };
+         this.tocEntries.push(group);
+       }
+       group.children.push(chapterEntry(p));
+     });
+
+     const renderList = (entries, className) => `<ol${className ? ` class="${className}"` : ""}>${entries.map(e => {
+       const label = e.href ? `<a href="../${escapeXml(e.href)}">${escapeXml(e.rawTitle)}</a>` : `<span>${escapeXml(e.rawTitle)}</span>`;
+       return `<li>${label}${e.children.length ? renderList(e.children) : ""}</li>`;
+     }).join("")}</ol>`;
+
+     const tocXhtml = `<?xml version="1.0" encoding="UTF-8"?><html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><head><title>Table of Contents</title><link rel="stylesheet" type="text/css" href="../Styles/stylesheet.css"/></head><body class="toc-page"><nav epub:type="toc" id="toc"><h1>Table of Contents</h1>${renderList(this.tocEntries, "toc-list")}</nav></body></html>`;
      this.textFolder.file("toc.xhtml", tocXhtml);
      this.manifestItems.push({ id: "toc", href: "Text/toc.xhtml", mediaType: "application/xhtml+xml", properties: "nav" });
      if(this.spineOrder.includes("cover-xhtml")) this.spineOrder.splice(this.spineOrder.indexOf("cover-xhtml")+1, 0, "toc");
      else this.spineOrder.unshift("toc");
-     
-     this.tocEntries = posts.map(p => ({ rawTitle: p.title, href: `Text/${p.filename}.xhtml` }));
+  }
+
+  // Chapter files never start with "_" (see sanitizeBasenameForXhtmlStrict), so divider names cannot clash with them.
+  addVolumeDivider(title, beforeIds) {
+    this.dividerCount = (this.dividerCount || 0) + 1;
+    const id = `_volume-${this.dividerCount}`;
+    const xhtml = `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>${escapeXml(title)}</title><link rel="stylesheet" type="text/css" href="../Styles/stylesheet.css"/></head>
+<body class="volume-divider"><h1>${escapeXml(title)}</h1></body></html>`;
+    this.textFolder.file(`${id}.xhtml`, xhtml);
+    this.manifestItems.push({ id, href: `Text/${id}.xhtml`, mediaType: "application/xhtml+xml" });
+    const at = this.spineOrder.findIndex(itemId => beforeIds.includes(itemId));
+    if (at === -1) this.spineOrder.push(id);
+    else this.spineOrder.splice(at, 0, id);
+    return `Text/${id}.xhtml`;
+  }
+
+  _toTocEntries(entries) {
+    return (entries || [])
+      .map(e => ({ rawTitle: e.title || "Untitled", href: e.href, children: this._toTocEntries(e.children) }))
+      .filter(e => e.href || e.children.length > 0);
+  }
+
+  // NCX navPoints need a target, so label-only entries point at their first descendant.
+  buildNcxNavPoints(entries, counter = { value: 0 }) {
+    const firstHref = (e) => e.href || (e.children.length ? firstHref(e.children[0]) : null);
+    return entries.map(e => {
+      const href = firstHref(e);
+      if (!href) return "";
+      counter.value++;
+      const id = counter.value;
+      return `<ns:navPoint id="navpoint-${id}" playOrder="${id}"><ns:navLabel><ns:text>${escapeXml(e.rawTitle)}</ns:text></ns:navLabel><ns:content src="${escapeXml(href)}"/>${this.buildNcxNavPoints(e.children, counter)}</ns:navPoint>`;
+    }).join("");
   }
 
   buildContentOpf() {
@@ -592,14 +1706,31 @@ class EpubPacker {
       return `<?xml version="1.0" encoding="UTF-8"?>
 <package xmlns="http://www.idpf.org/2007/opf" unique-identifier="BookId" version="3.0">
 <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
-<dc:title>${escapeXml(this.metadata.title)}</dc:title>
+<dc:title id="title">${escapeXml(this.metadata.title)}</dc:title>
+${this.metadata.subtitle ? `<meta refines="#title" property="title-type">main</meta>
+<dc:title id="subtitle">${escapeXml(this.metadata.subtitle)}</dc:title>
+<meta refines="#subtitle" property="title-type">subtitle</meta>` : ""}
 <dc:creator id="author">${escapeXml(this.metadata.author)}</dc:creator>
+<meta refines="#author" property="role" scheme="marc:relators">aut</meta>
+${this.metadata.authorFileAs ? `<meta refines="#author" property="file-as">${escapeXml(this.metadata.authorFileAs)}</meta>` : ""}
 <dc:language>${this.metadata.language}</dc:language>
 <dc:identifier id="BookId">${this.metadata.uuid}</dc:identifier>
 <meta property="dcterms:modified">${now}</meta>
+${this.metadata.date ? `<dc:date>${this.metadata.date}</dc:date>` : ""}
+${this.metadata.publisher ? `<dc:publisher>${escapeXml(this.metadata.publisher)}</dc:publisher>` : ""}
+${this.metadata.sourceUrl ? `<dc:source>${escapeXml(this.metadata.sourceUrl)}</dc:source>` : ""}
+${(this.metadata.subjects || []).map(subject => `<dc:subject>${escapeXml(subject)}</dc:subject>`).join("\n")}
+${this.metadata.description ? `<dc:description>${escapeXml(this.metadata.description)}</dc:description>` : ""}
 ${this.metadata.coverImageId ? `<meta name="cover" content="${this.metadata.coverImageId}"/>` : ""}
+${this.metadata.series ? `<meta property="belongs-to-collection" id="series">${escapeXml(this.metadata.series.title)}</meta>
+<meta refines="#series" property="collection-type">series</meta>
+<meta refines="#series" property="group-position">${this.metadata.series.index}</meta>
+<meta name="calibre:series" content="${escapeXml(this.metadata.series.title)}"/>
+<meta name="calibre:series_index" content="${this.metadata.series.index}"/>` : ""}
+${this.metadata.source ? `<meta name="kemono:source" content="${escapeXml(this.metadata.source)}"/>
+<meta name="kemono:posts" content="${escapeXml(JSON.stringify(this.metadata.sourcePosts || []))}"/>` : ""}
 </metadata>
-<manifest>${this.manifestItems.map(i => `<item id="${i.id}" href="${i.href}" media-type="${i.mediaType}"${i.properties?` properties="${i.properties}"`:""}/>`).join("\n")}<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/></manifest>
+<manifest>${this.manifestItems.map(i => `<item id="${i.id}" href="${escapeXml(i.href)}" media-type="${i.mediaType}"${i.properties?` properties="${i.properties}"`:""}/>`).join("\n")}<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/></manifest>
 <spine toc="ncx">${this.spineOrder.map(id => `<itemref idref="${id}"/>`).join("\n")}</spine>
 </package>`;
   }
@@ -607,7 +1738,7 @@ ${this.metadata.coverImageId ? `<meta name="cover" content="${this.metadata.cove
   async packToBlob() {
     this.addContainerXml();
     this.oebps.file("content.opf", this.buildContentOpf());
-    this.oebps.file("toc.ncx", `<?xml version="1.0" encoding="UTF-8"?><ns:ncx xmlns:ns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1"><ns:head><ns:meta name="dtb:uid" content="${this.metadata.uuid}"/></ns:head><ns:docTitle><ns:text>${escapeXml(this.metadata.title)}</ns:text></ns:docTitle><ns:navMap>${this.tocEntries.map((e,i)=>`<ns:navPoint id="navpoint-${i+1}" playOrder="${i+1}"><ns:navLabel><ns:text>${escapeXml(e.rawTitle)}</ns:text></ns:navLabel><ns:content src="${e.href}"/></ns:navPoint>`).join("")}</ns:navMap></ns:ncx>`);
+    this.oebps.file("toc.ncx", `<?xml version="1.0" encoding="UTF-8"?><ns:ncx xmlns:ns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1"><ns:head><ns:meta name="dtb:uid" content="${this.metadata.uuid}"/></ns:head><ns:docTitle><ns:text>${escapeXml(this.metadata.title)}</ns:text></ns:docTitle><ns:navMap>${this.buildNcxNavPoints(this.tocEntries)}</ns:navMap></ns:ncx>`);
     
     return this.zip.generateAsync({
       type: "blob",
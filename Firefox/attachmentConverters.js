@@ -0,0 +1,576 @@
+// attachmentConverters.js
+//  Converts document attachments (Word, plain text, Markdown) into XHTML chapter content.
+
+const WORD_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+function escapeXml(str) {
+  if (str == null) return "";
+  const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(str).replace(/[&<>"']/g, c => map[c]);
+}
+
+// Child elements of `el` with the given local name (namespace prefixes vary between writers).
+function childrenByName(el, localName) {
+  return el ? Array.from(el.children).filter(c => c.localName === localName) : [];
+}
+
+function firstChildByName(el, localName) {
+  return childrenByName(el, localName)[0] || null;
+}
+
+function wordAttr(el, name) {
+  if (!el) return null;
+  return el.getAttributeNS(WORD_NS, name) ?? el.getAttribute(`w:${name}`);
+}
+
+// <w:b/>, <w:b w:val="1"/> and <w:b w:val="true"/> are on; "0"/"false"/"none" are off.
+function isToggleOn(rPr, localName) {
+  const el = firstChildByName(rPr, localName);
+  if (!el) return false;
+  const val = wordAttr(el, "val");
+  return val === null || !["0", "false", "none"].includes(val);
+}
+
+function resolveZipPath(baseDir, target) {
+  if (target.startsWith("/")) return target.substring(1);
+  const parts = `${baseDir}/${target}`.split("/");
+  const out = [];
+  for (const part of parts) {
+    if (part === "..") out.pop();
+    else if (part && part !== ".") out.push(part);
+  }
+  return out.join("/");
+}
+
+// DOCX CONVERTER
+class DocxConverter {
+  constructor(zip, registerImage) {
+    this.zip = zip;
+    this.registerImage = registerImage;
+    this.domParser = new DOMParser();
+    this.relationships = new Map();
+    this.styleKinds = new Map();
+    this.bulletNumIds = new Set();
+    this.imageSources = new Map();
+  }
+
+  async _readXml(path) {
+    const file = this.zip.file(path);
+    if (!file) return null;
+    const text = await file.async("string");
+    const xml = this.domParser.parseFromString(text, "application/xml");
+    return xml.getElementsByTagName("parsererror").length > 0 ? null : xml;
+  }
+
+  async convert() {
+    const documentXml = await this._readXml("word/document.xml");
+    if (!documentXml) throw new Error("Not a Word document (word/document.xml missing).");
+
+    await this._loadRelationships();
+    await this._loadStyles();
+    await this._loadNumbering();
+    await this._loadImages(documentXml);
+
+    const body = documentXml.getElementsByTagNameNS(WORD_NS, "body")[0];
+    return this._renderBlocks(body ? Array.from(body.children) : []);
+  }
+
+  async _loadRelationships() {
+    const rels = await this._readXml("word/_rels/document.xml.rels");
+    if (!rels) return;
+    for (const rel of Array.from(rels.getElementsByTagName("Relationship"))) {
+      this.relationships.set(rel.getAttribute("Id"), {
+        target: rel.getAttribute("Target") || "",
+        external: rel.getAttribute("TargetMode") === "External"
+      });
+    }
+  }
+
+  // Maps style ids to heading levels / title kinds, following basedOn chains.
+  async _loadStyles() {
+    const styles = await this._readXml("word/styles.xml");
+    if (!styles) return;
+    const byId = new Map();
+    for (const style of Array.from(styles.getElementsByTagNameNS(WORD_NS, "style"))) {
+      const id = wordAttr(style, "styleId");
+      const name = (wordAttr(firstChildByName(style, "name"), "val") || "").toLowerCase();
+      const basedOn = wordAttr(firstChildByName(style, "basedOn"), "val");
+      const outline = wordAttr(firstChildByName(firstChildByName(style, "pPr"), "outlineLvl"), "val");
+      if (id) byId.set(id, { name, basedOn, outline });
+    }
+
+    const kindOf = (id, depth = 0) => {
+      const style = byId.get(id);
+      if (!style || depth > 10) return null;
+      const headingMatch = style.name.match(/^heading (\d)$/);
+      if (headingMatch) return `h${headingMatch[1]}`;
+      if (style.name === "title") return "title";
+      if (style.name === "subtitle") return "subtitle";
+      if (style.name === "quote" || style.name === "intense quote") return "quote";
+      if (style.outline !== null && style.outline !== undefined) return `h${Number(style.outline) + 1}`;
+      return style.basedOn ? kindOf(style.basedOn, depth + 1) : null;
+    };
+    for (const id of byId.keys()) {
+      const kind = kindOf(id);
+      if (kind) this.styleKinds.set(id, kind);
+    }
+  }
+
+  async _loadNumbering() {
+    const numbering = await this._readXml("word/numbering.xml");
+    if (!numbering) return;
+    const bulletAbstractIds = new Set();
+    for (const abs of Array.from(numbering.getElementsByTagNameNS(WORD_NS, "abstractNum"))) {
+      const firstLvl = firstChildByName(abs, "lvl");
+      if (wordAttr(firstChildByName(firstLvl, "numFmt"), "val") === "bullet") {
+        bulletAbstractIds.add(wordAttr(abs, "abstractNumId"));
+      }
+    }
+    for (const num of Array.from(numbering.getElementsByTagNameNS(WORD_NS, "num"))) {
+      if (bulletAbstractIds.has(wordAttr(firstChildByName(num, "abstractNumId"), "val"))) {
+        this.bulletNumIds.add(wordAttr(num, "numId"));
+      }
+    }
+  }
+
+  async _loadImages(documentXml) {
+    const relIds = new Set();
+    for (const blip of Array.from(documentXml.getElementsByTagName("*"))) {
+      if (blip.localName === "blip" || blip.localName === "imagedata") {
+        const relId = blip.getAttributeNS(REL_NS, "embed") || blip.getAttributeNS(REL_NS, "id");
+        if (relId) relIds.add(relId);
+      }
+    }
+
+    for (const relId of relIds) {
+      const rel = this.relationships.get(relId);
+      if (!rel || rel.external) continue;
+      const path = resolveZipPath("word", rel.target);
+      const file = this.zip.file(path);
+      if (!file) continue;
+      try {
+        const blob = await file.async("blob");
+        const src = await this.registerImage(blob, path.split("/").pop());
+        if (src) this.imageSources.set(relId, src);
+      } catch (e) {
+        console.warn(`Could not convert embedded image ${path}:`, e);
+      }
+    }
+  }
+
+  _renderBlocks(elements) {
+    let out = "";
+    let openList = null;
+
+    const closeList = () => {
+      if (openList) out += `</${openList}>`;
+      openList = null;
+    };
+
+    for (const el of elements) {
+      if (el.localName === "p") {
+        const pPr = firstChildByName(el, "pPr");
+        const numPr = firstChildByName(pPr, "numPr");
+        if (numPr) {
+          const numId = wordAttr(firstChildByName(numPr, "numId"), "val");
+          const listTag = this.bulletNumIds.has(numId) ? "ul" : "ol";
+          if (openList !== listTag) {
+            closeList();
+            out += `<${listTag}>`;
+            openList = listTag;
+          }
+          const inner = this._renderInline(Array.from(el.children));
+          if (inner.trim()) out += `<li>${inner}</li>`;
+          continue;
+        }
+        closeList();
+        out += this._renderParagraph(el, pPr);
+      } else if (el.localName === "tbl") {
+        closeList();
+        out += this._renderTable(el);
+      } else if (el.localName === "sdt") {
+        closeList();
+        out += this._renderBlocks(Array.from(firstChildByName(el, "sdtContent")?.children || []));
+      }
+    }
+    closeList();
+    return out;
+  }
+
+  _renderParagraph(p, pPr) {
+    const inner = this._renderInline(Array.from(p.children));
+    if (!inner.replace(/<br\/>/g, "").trim()) return "";
+
+    const styleId = wordAttr(firstChildByName(pPr, "pStyle"), "val");
+    const kind = this.styleKinds.get(styleId) || null;
+    const align = wordAttr(firstChildByName(pPr, "jc"), "val");
+    const alignClass = align === "center" ? "center" : (align === "right" || align === "end") ? "right" : "";
+    const classAttr = alignClass ? ` class="${alignClass}"` : "";
+
+    if (kind && kind.startsWith("h")) {
+      // The chapter itself uses <h1>, so document headings start one level below.
+      const level = Math.min(6, Number(kind.substring(1)) + 1);
+      return `<h${level}${classAttr}>${inner}</h${level}>`;
+    }
+    if (kind === "title") return `<h2 class="docx-title">${inner}</h2>`;
+    if (kind === "subtitle") return `<p class="subtitle">${inner}</p>`;
+    if (kind === "quote") return `<blockquote><p>${inner}</p></blockquote>`;
+    return `<p${classAttr}>${inner}</p>`;
+  }
+
+  _renderTable(tbl) {
+    let out = "<table>";
+    for (const tr of childrenByName(tbl, "tr")) {
+      out += "<tr>";
+      for (const tc of childrenByName(tr, "tc")) {
+        out += `<td>${this._renderBlocks(Array.from(tc.children))}</td>`;
+      }
+      out += "</tr>";
+    }
+    return `${out}</table>`;
+  }
+
+  _renderInline(elements) {
+    let out = "";
+    for (const el of elements) {
+      switch (el.localName) {
+        case "r":
+          out += this._renderRun(el);
+          break;
+        case "hyperlink": {
+          const inner = this._renderInline(Array.from(el.children));
+          const rel = this.relationships.get(el.getAttributeNS(REL_NS, "id"));
+          out += rel && rel.external ? `<a href="${escapeXml(rel.target)}">${inner}</a>` : inner;
+          break;
+        }
+        case "ins":
+        case "smartTag":
+        case "fldSimple":
+          out += this._renderInline(Array.from(el.children));
+          break;
+        case "sdt":
+          out += this._renderInline(Array.from(firstChildByName(el, "sdtContent")?.children || []));
+          break;
+        default:
+          break;
+      }
+    }
+    return out;
+  }
+
+  _renderRun(r) {
+    const rPr = firstChildByName(r, "rPr");
+    let text = "";
+    for (const child of Array.from(r.children)) {
+      switch (child.localName) {
+        case "t":
+          text += escapeXml(child.textContent);
+          break;
+        case "tab":
+          text += " ";
+          break;
+        case "br":
+        case "cr":
+          if (wordAttr(child, "type") !== "page") text += "<br/>";
+          break;
+        case "noBreakHyphen":
+          text += "‑";
+          break;
+        case "drawing":
+        case "pict":
+          text += this._renderImages(child);
+          break;
+        default:
+          break;
+      }
+    }
+    if (!text) return "";
+
+    const vertAlign = wordAttr(firstChildByName(rPr, "vertAlign"), "val");
+    if (vertAlign === "superscript") text = `<sup>${text}</sup>`;
+    else if (vertAlign === "subscript") text = `<sub>${text}</sub>`;
+    if (isToggleOn(rPr, "strike") || isToggleOn(rPr, "dstrike")) text = `<s>${text}</s>`;
+    if (isToggleOn(rPr, "u")) text = `<u>${text}</u>`;
+    if (isToggleOn(rPr, "i")) text = `<em>${text}</em>`;
+    if (isToggleOn(rPr, "b")) text = `<strong>${text}</strong>`;
+    return text;
+  }
+
+  _renderImages(container) {
+    let out = "";
+    for (const el of Array.from(container.getElementsByTagName("*"))) {
+      if (el.localName !== "blip" && el.localName !== "imagedata") continue;
+      const relId = el.getAttributeNS(REL_NS, "embed") || el.getAttributeNS(REL_NS, "id");
+      const src = this.imageSources.get(relId);
+      if (src) out += `<img src="${escapeXml(src)}" alt=""/>`;
+    }
+    return out;
+  }
+}
+
+/**
+ * Converts a .docx file into an XHTML fragment.
+ * @param {Blob} blob - The Word document.
+ * @param {Function} ZipLib - The JSZip constructor.
+ * @param {Function} registerImage - async (blob, name) => src; packs an embedded image and returns its chapter-relative path, or null to drop it.
+ * @returns {Promise<string>} XHTML body content (paragraphs, headings, lists, tables, images).
+ */
+export async function convertDocxToXhtml(blob, ZipLib, registerImage) {
+  const zip = await ZipLib.loadAsync(blob);
+  return new DocxConverter(zip, registerImage).convert();
+}
+
+// TEXT DECODING
+const UTF16_SAMPLE_BYTES = 4096;
+
+// UTF-16 without a BOM: ASCII-heavy text has a zero in every other byte.
+function guessUtf16Encoding(bytes) {
+  const length = Math.min(bytes.length - (bytes.length % 2), UTF16_SAMPLE_BYTES);
+  if (length < 4) return null;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+  const pairs = length / 2;
+  if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return "utf-16le";
+  if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return "utf-16be";
+  return null;
+}
+
+// Latin text in windows-1252 often decodes as Shift_JIS too: each accented letter turns into a lone kanji between
+// ASCII letters, or into a half-width katakana. Japanese text is mostly kana, CJK punctuation, full-width forms and
+// kanji next to other CJK characters.
+const KANA = /[\u3000-\u30FF\uFF01-\uFF5E]/;
+const CJK = /[\u3000-\u30FF\u4E00-\u9FFF\uFF01-\uFF5E]/;
+const SHIFT_JIS_MIN_JAPANESE_SHARE = 0.5;
+
+function looksJapanese(text) {
+  let nonAscii = 0;
+  let japanese = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c < "\u0080") continue;
+    nonAscii++;
+    if (KANA.test(c) || (CJK.test(c) && (CJK.test(text[i - 1] || "") || CJK.test(text[i + 1] || "")))) japanese++;
+  }
+  return nonAscii > 0 && japanese >= nonAscii * SHIFT_JIS_MIN_JAPANESE_SHARE;
+}
+
+function tryDecode(bytes, encoding) {
+  try {
+    return new TextDecoder(encoding, { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decodes a text attachment, detecting UTF-8, UTF-16 (with or without BOM) and Shift_JIS.
+ * Falls back to windows-1252 so something readable always comes out.
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+export function decodeTextBuffer(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return new TextDecoder("utf-8").decode(bytes.subarray(3));
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder("utf-16le").decode(bytes.subarray(2));
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder("utf-16be").decode(bytes.subarray(2));
+
+  const utf16 = guessUtf16Encoding(bytes);
+  if (utf16) {
+    const decoded = tryDecode(bytes, utf16);
+    if (decoded !== null) return decoded;
+  }
+
+  const utf8 = tryDecode(bytes, "utf-8");
+  if (utf8 !== null) return utf8;
+  const shiftJis = tryDecode(bytes, "shift_jis");
+  if (shiftJis !== null && looksJapanese(shiftJis)) return shiftJis;
+  return new TextDecoder("windows-1252").decode(bytes);
+}
+
+// PLAIN TEXT / MARKDOWN
+const SCENE_BREAK_LINE = /^\s*(?:([*#~=_\-•◇◆○●☆★※])\s*){3,}\s*$|^\s*[#*]\s*$/;
+const HARD_WRAP_WIDTH = 80;
+
+function isSceneBreakLine(line) {
+  return SCENE_BREAK_LINE.test(line);
+}
+
+const SCENE_BREAK_HTML = '<p class="scene-break">* * *</p>';
+
+function splitLines(text) {
+  return text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split("\n");
+}
+
+// Text wrapped at a fixed width (Project Gutenberg style) is re-flowed; otherwise line breaks are kept.
+function looksHardWrapped(lines) {
+  const nonEmpty = lines.filter(l => l.trim());
+  if (nonEmpty.length < 20 || nonEmpty.length === lines.length) return false;
+  const maxLength = Math.max(...nonEmpty.map(l => l.length));
+  const nearWidth = nonEmpty.filter(l => l.length > HARD_WRAP_WIDTH * 0.75).length;
+  return maxLength <= HARD_WRAP_WIDTH && nearWidth > nonEmpty.length * 0.5;
+}
+
+/**
+ * Converts plain text into XHTML paragraphs. Blank lines separate paragraphs; a file without
+ * blank lines gets one paragraph per line. Lines like "***" or "◇◇◇" become scene breaks.
+ * @param {string} text
+ * @returns {string}
+ */
+export function convertTextToXhtml(text) {
+  const lines = splitLines(text);
+  const hasBlankLines = lines.some(l => !l.trim());
+  const joiner = looksHardWrapped(lines) ? " " : "<br/>";
+
+  let out = "";
+  let block = [];
+  const flush = () => {
+    if (block.length) out += `<p>${block.map(l => escapeXml(l.trim())).join(joiner)}</p>`;
+    block = [];
+  };
+
+  for (const line of lines) {
+    if (isSceneBreakLine(line)) {
+      flush();
+      out += SCENE_BREAK_HTML;
+    } else if (!line.trim()) {
+      flush();
+    } else {
+      block.push(line);
+      if (!hasBlankLines) flush();
+    }
+  }
+  flush();
+  return out;
+}
+
+// Emphasis, strikethrough and line breaks.
+function renderMarkdownMarks(html) {
+  return html
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "<strong>$2</strong>")
+    .replace(/(^|[^\w*])\*(?=\S)([\s\S]*?\S)\*(?![\w*])/g, "$1<em>$2</em>")
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, "$1<em>$2</em>")
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, "<s>$1</s>")
+    .replace(/(?: {2,}|\\)\n/g, "<br/>")
+    .replace(/\n/g, " ");
+}
+
+function renderMarkdownInline(text) {
+  const codeSpans = [];
+  let html = escapeXml(text).replace(/`([^`]+)`/g, (_, code) => {
+    codeSpans.push(`<code>${code}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  // Links are set aside like code spans, so markers in a URL ("/_a_/") are not read as emphasis.
+  const links = [];
+  html = html
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g, (_, label, href) => {
+      links.push(`<a href="${href}">${renderMarkdownMarks(label)}</a>`);
+      return `\u0001${links.length - 1}\u0001`;
+    });
+
+  return renderMarkdownMarks(html)
+    .replace(/\u0001(\d+)\u0001/g, (_, i) => links[Number(i)])
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => codeSpans[Number(i)]);
+}
+
+/**
+ * Converts Markdown into XHTML: ATX headings, emphasis, links, blockquotes, lists,
+ * code blocks and thematic breaks (rendered as scene breaks).
+ * @param {string} text
+ * @returns {string}
+ */
+export function convertMarkdownToXhtml(text) {
+  const lines = splitLines(text);
+  let out = "";
+  let paragraph = [];
+  let list = null;
+  let quote = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) out += `<p>${renderMarkdownInline(paragraph.join("\n"))}</p>`;
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) out += `<${list.tag}>${list.items.map(i => `<li>${renderMarkdownInline(i)}</li>`).join("")}</${list.tag}>`;
+    list = null;
+  };
+  const flushQuote = () => {
+    if (quote.length) out += `<blockquote>${convertMarkdownToXhtml(quote.join("\n"))}</blockquote>`;
+    quote = [];
+  };
+  const flushAll = () => {
+    flushParagraph();
+    flushList();
+    flushQuote();
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^\s*(```|~~~)/.test(line)) {
+      flushAll();
+      const fence = line.trim().substring(0, 3);
+      const code = [];
+      while (++i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i]);
+      out += `<pre><code>${escapeXml(code.join("\n"))}</code></pre>`;
+      continue;
+    }
+    if (/^\s{0,3}>/.test(line)) {
+      flushParagraph();
+      flushList();
+      quote.push(line.replace(/^\s{0,3}> ?/, ""));
+      continue;
+    }
+    flushQuote();
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      continue;
+    }
+    if (isSceneBreakLine(line) && !/^\s*#+\s*\S/.test(line)) {
+      flushAll();
+      out += SCENE_BREAK_HTML;
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flushAll();
+      // The chapter itself uses <h1>, so Markdown headings start one level below.
+      const level = Math.min(6, heading[1].length + 1);
+      out += `<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`;
+      continue;
+    }
+
+    const listItem = line.match(/^\s{0,3}(?:([*+-])|(\d+)[.)])\s+(.*)$/);
+    if (listItem) {
+      flushParagraph();
+      const tag = listItem[1] ? "ul" : "ol";
+      if (!list || list.tag !== tag) {
+        flushList();
+        list = { tag, items: [] };
+      }
+      list.items.push(listItem[3]);
+      continue;
+    }
+    if (list && /^\s+\S/.test(line)) {
+      list.items[list.items.length - 1] += `\n${line.trim()}`;
+      continue;
+    }
+
+    flushList();
+    paragraph.push(line);
+  }
+  flushAll();
+  return out;
+}
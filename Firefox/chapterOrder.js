@@ -0,0 +1,49 @@
+// chapterOrder.js
+// Reading order of a book's chapters: by publish date, by the chapter number in post titles, by title, newest
+// first, or an order arranged by hand.
+
+import { compareTitleNumbers } from "./filenameGenerator.js";
+
+export const CHAPTER_ORDER_MODES = ["published", "number", "title", "newest", "manual"];
+export const DEFAULT_CHAPTER_ORDER = { mode: "published", manualIds: [] };
+// Hand-arranged orders are saved with the creator's settings, so very long ones are cut short.
+export const MANUAL_ORDER_LIMIT = 2000;
+
+const publishedTime = (post) => new Date(post.published || 0).getTime() || 0;
+
+/**
+ * Sorts posts (stubs or full posts) into reading order; the array passed in is left as it is.
+ * Posts that tie (same chapter number, or missing from a manual order) keep their publish date order.
+ * @param {object} [order] - { mode: one of CHAPTER_ORDER_MODES, manualIds: post ids in hand-arranged order }
+ */
+export function orderPosts(posts, order = DEFAULT_CHAPTER_ORDER) {
+  const byDate = [...posts].sort((a, b) => publishedTime(a) - publishedTime(b));
+  switch (order?.mode) {
+    case "number":
+      return byDate.sort((a, b) => compareTitleNumbers(a.title, b.title));
+    case "title":
+      return byDate.sort((a, b) =>
+        (a.title || "").localeCompare(b.title || "", undefined, { numeric: true, sensitivity: "base" }));
+    case "newest":
+      return byDate.reverse();
+    case "manual": {
+      const positions = new Map((order.manualIds || []).map((id, index) => [String(id), index]));
+      const position = (post) => (positions.has(String(post.id)) ? positions.get(String(post.id)) : Infinity);
+      return byDate.sort((a, b) => {
+        const pa = position(a);
+        const pb = position(b);
+        return pa === pb ? 0 : pa < pb ? -1 : 1;
+      });
+    }
+    default:
+      return byDate;
+  }
+}
+
+// Moves one post id before another (or to the end when `beforeId` is null) in an ordered id list.
+export function moveInOrder(ids, movedId, beforeId) {
+  const result = ids.filter(id => id !== movedId);
+  const index = beforeId === null ? -1 : result.indexOf(beforeId);
+  result.splice(index === -1 ? result.length : index, 0, movedId);
+  return result;
+}
@@ -0,0 +1,83 @@
+// creatorSettings.js
+// Per-creator book settings (filename pattern, cover, filter, ...), kept in chrome.storage.local so
+// background builds can use the same settings as the EPUB creator tab.
+
+const CREATOR_SETTINGS_STORAGE_KEY = "kemonoEpubCreatorSettings";
+
+function settingsKey(service, creatorId) {
+  return `${service}/${creatorId}`;
+}
+
+/**
+ * @returns {Promise<object>} { filenamePattern?: preset id or template, enableCover?, coverImageUrl?, filter?: {tag, q}, documentPlacement?,
+ *   tocGrouping?: {mode, rules, dividers}, volumeSplit?: {mode, chapters, sizeMb}, description?,
+ *   bookMetadata?: {title, subtitle, author, authorFileAs, series, seriesIndex}, chapterOrder?: {mode, manualIds},
+ *   titleRules?: {rules, numbering}, contentCleanup?: {rules, leadingNotes, trailingNotes} };
+ *   fields that were never saved are absent.
+ */
+export async function getCreatorSettings(service, creatorId) {
+  const data = await chrome.storage.local.get(CREATOR_SETTINGS_STORAGE_KEY);
+  return (data[CREATOR_SETTINGS_STORAGE_KEY] || {})[settingsKey(service, creatorId)] || {};
+}
+
+export async function saveCreatorSettings(service, creatorId, changes) {
+  const data = await chrome.storage.local.get(CREATOR_SETTINGS_STORAGE_KEY);
+  const all = data[CREATOR_SETTINGS_STORAGE_KEY] || {};
+  const key = settingsKey(service, creatorId);
+  all[key] = { ...(all[key] || {}), ...changes };
+  await chrome.storage.local.set({ [CREATOR_SETTINGS_STORAGE_KEY]: all });
+}
+
+const KEMONO_ICON_BASE_URL = "https://img.kemono.cr/icons";
+export const DEFAULT_FILENAME_PATTERN = "titles_only";
+
+/**
+ * Turns saved creator settings into generator options for builds started without the EPUB creator tab
+ * (automatic builds, queued creators). The filename is left to the caller, which knows the posts.
+ */
+export function buildOptionsFromSettings(service, creatorId, settings) {
+  const filter = settings.filter || {};
+  return {
+    coverImageUrl: settings.enableCover === false
+      ? undefined
+      : settings.coverImageUrl || `${KEMONO_ICON_BASE_URL}/${service}/${creatorId}`,
+    customQ: filter.q || "",
+    tagFilter: filter.tag || "",
+    documentPlacement: settings.documentPlacement,
+    tocGrouping: settings.tocGrouping,
+    volumeSplit: settings.volumeSplit,
+    description: settings.description,
+    bookMetadata: settings.bookMetadata,
+    chapterOrder: settings.chapterOrder,
+    titleRules: settings.titleRules,
+    contentCleanup: settings.contentCleanup,
+    persistentCache: true
+  };
+}
+
+// --- SAVED FILENAME TEMPLATES ---
+// User templates are shared by every creator; a creator's filenamePattern may name a preset or hold a template.
+
+export const FILENAME_TEMPLATES_STORAGE_KEY = "kemonoEpubFilenameTemplates";
+
+/**
+ * @returns {Promise<Array<{name: string, template: string}>>} In the order they were saved.
+ */
+export async function getSavedFilenameTemplates() {
+  const data = await chrome.storage.local.get(FILENAME_TEMPLATES_STORAGE_KEY);
+  return data[FILENAME_TEMPLATES_STORAGE_KEY] || [];
+}
+
+// Saving under an existing name replaces that template.
+export async function saveFilenameTemplate(name, template) {
+  const templates = (await getSavedFilenameTemplates()).filter(t => t.name !== name);
+  templates.push({ name, template });
+  await chrome.storage.local.set({ [FILENAME_TEMPLATES_STORAGE_KEY]: templates });
+  return templates;
+}
+
+export async function deleteFilenameTemplate(name) {
+  const templates = (await getSavedFilenameTemplates()).filter(t => t.name !== name);
+  await chrome.storage.local.set({ [FILENAME_TEMPLATES_STORAGE_KEY]: templates });
+  return templates;
+}
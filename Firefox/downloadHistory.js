@@ -0,0 +1,98 @@
+// downloadHistory.js
+// Remembers every EPUB that was built and saved, so posts already packed into a book can be marked and skipped.
+
+export const DOWNLOAD_HISTORY_STORAGE_KEY = "kemonoEpubDownloadHistory";
+const DOWNLOAD_HISTORY_LIMIT = 500;
+// Build internals and per-run details that say nothing about the book's contents.
+const SKIPPED_OPTIONS = ["fileName", "save", "controller", "checkpoint", "baseEpub", "zipLib"];
+
+/**
+ * Reduces generator options to what is worth keeping with a history entry (plain values only).
+ * An update of an existing book keeps the base book's file name as `updatedFrom`.
+ */
+export function summarizeBuildOptions(options) {
+  const summary = {};
+  Object.entries(options || {}).forEach(([key, value]) => {
+    if (SKIPPED_OPTIONS.includes(key)) return;
+    if (["string", "number", "boolean"].includes(typeof value)) summary[key] = value;
+  });
+  if (options?.baseEpub) summary.updatedFrom = options.baseEpub.name || "existing EPUB";
+  return summary;
+}
+
+/**
+ * @returns {Promise<object[]>} Oldest first: { id, service, creatorId, creatorName, postIds: string[], fileName,
+ *   partial, options: summarizeBuildOptions() result, createdAt }
+ */
+export async function getDownloadHistory() {
+  const data = await chrome.storage.local.get(DOWNLOAD_HISTORY_STORAGE_KEY);
+  return data[DOWNLOAD_HISTORY_STORAGE_KEY] || [];
+}
+
+// Read-modify-write changes from one page are chained so overlapping entries are not lost.
+let historyChange = Promise.resolve();
+
+function changeDownloadHistory(change) {
+  const next = historyChange.then(async () => {
+    const history = await getDownloadHistory();
+    if (change(history) === false) return;
+    await chrome.storage.local.set({ [DOWNLOAD_HISTORY_STORAGE_KEY]: history.slice(-DOWNLOAD_HISTORY_LIMIT) });
+  });
+  historyChange = next.catch(() => {});
+  return next;
+}
+
+/**
+ * Records a saved book.
+ * @param {object} entry - { creatorInfo: {service, creatorId, creatorName}, postIds, fileName, options, partial }
+ */
+export function recordDownload({ creatorInfo, postIds, fileName, options, partial = false }) {
+  return changeDownloadHistory(history => {
+    history.push({
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      service: creatorInfo.service,
+      creatorId: creatorInfo.creatorId,
+      creatorName: creatorInfo.creatorName || "",
+      postIds: (postIds || []).map(String),
+      fileName,
+      partial: !!partial,
+      options: summarizeBuildOptions(options),
+      createdAt: Date.now()
+    });
+  });
+}
+
+export function removeDownloadHistoryEntry(id) {
+  return changeDownloadHistory(history => {
+    const index = history.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+    history.splice(index, 1);
+  });
+}
+
+export function clearDownloadHistory(service = null, creatorId = null) {
+  return changeDownloadHistory(history => {
+    const remaining = service
+      ? history.filter(entry => entry.service !== service || entry.creatorId !== creatorId)
+      : [];
+    if (remaining.length === history.length) return false;
+    history.splice(0, history.length, ...remaining);
+  });
+}
+
+/**
+ * @returns {Promise<Map<string, object[]>>} Post id -> history entries of the creator's books that include it, newest first.
+ */
+export async function getPackedPosts(service, creatorId) {
+  const packed = new Map();
+  const history = await getDownloadHistory();
+  for (let i = history.length - 1; i >= 0; i--) {
+    const entry = history[i];
+    if (entry.service !== service || entry.creatorId !== creatorId) continue;
+    entry.postIds.forEach(id => {
+      if (!packed.has(id)) packed.set(id, []);
+      packed.get(id).push(entry);
+    });
+  }
+  return packed;
+}
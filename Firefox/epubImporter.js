@@ -0,0 +1,148 @@
+// epubImporter.js
+//  Reads .epub attachments (OPF manifest, spine and navigation) so their content can be merged into a new book.
+
+function resolveZipPath(baseDir, target) {
+  const [pathPart, fragment] = target.split("#");
+  const decoded = decodeURIComponent(pathPart);
+  const parts = (decoded.startsWith("/") ? decoded.substring(1) : `${baseDir}/${decoded}`).split("/");
+  const out = [];
+  for (const part of parts) {
+    if (part === "..") out.pop();
+    else if (part && part !== ".") out.push(part);
+  }
+  return { path: out.join("/"), fragment: fragment || "" };
+}
+
+function dirOf(path) {
+  const slash = path.lastIndexOf("/");
+  return slash === -1 ? "" : path.substring(0, slash);
+}
+
+function elementsByLocalName(root, localName) {
+  return Array.from(root.getElementsByTagName("*")).filter(el => el.localName === localName);
+}
+
+function childrenByLocalName(el, localName) {
+  return el ? Array.from(el.children).filter(c => c.localName === localName) : [];
+}
+
+class EpubReader {
+  constructor(zip) {
+    this.zip = zip;
+    this.domParser = new DOMParser();
+  }
+
+  async _readXml(path, type = "application/xml") {
+    const file = this.zip.file(path);
+    if (!file) return null;
+    const text = await file.async("string");
+    const xml = this.domParser.parseFromString(text, type);
+    return xml.getElementsByTagName("parsererror").length > 0 ? null : xml;
+  }
+
+  async read() {
+    const container = await this._readXml("META-INF/container.xml");
+    const rootfile = container ? elementsByLocalName(container, "rootfile")[0] : null;
+    const opfPath = rootfile ? rootfile.getAttribute("full-path") : null;
+    if (!opfPath) throw new Error("EPUB has no META-INF/container.xml rootfile.");
+
+    const opf = await this._readXml(opfPath);
+    if (!opf) throw new Error(`EPUB package document ${opfPath} could not be parsed.`);
+    const opfDir = dirOf(opfPath);
+
+    const titleEl = elementsByLocalName(opf, "title")[0];
+    const uniqueId = opf.documentElement.getAttribute("unique-identifier");
+    const identifierEl = elementsByLocalName(opf, "identifier").find(el => el.getAttribute("id") === uniqueId)
+      || elementsByLocalName(opf, "identifier")[0];
+    const meta = {};
+    for (const el of elementsByLocalName(opf, "meta")) {
+      if (el.getAttribute("name")) meta[el.getAttribute("name")] = el.getAttribute("content") || "";
+    }
+    const items = new Map();
+    for (const item of elementsByLocalName(opf, "item")) {
+      const href = item.getAttribute("href");
+      if (!href) continue;
+      items.set(item.getAttribute("id"), {
+        id: item.getAttribute("id"),
+        path: resolveZipPath(opfDir, href).path,
+        mediaType: item.getAttribute("media-type") || "application/octet-stream",
+        properties: (item.getAttribute("properties") || "").split(/\s+/).filter(Boolean)
+      });
+    }
+
+    const spineEl = elementsByLocalName(opf, "spine")[0];
+    const spine = elementsByLocalName(opf, "itemref")
+      .map(ref => ref.getAttribute("idref"))
+      .filter(id => items.has(id));
+
+    const navItem = Array.from(items.values()).find(i => i.properties.includes("nav"));
+    const ncxItem = items.get(spineEl && spineEl.getAttribute("toc"))
+      || Array.from(items.values()).find(i => i.mediaType === "application/x-dtbncx+xml");
+
+    let toc = navItem ? await this._readNavDocument(navItem.path) : [];
+    if (toc.length === 0 && ncxItem) toc = await this._readNcx(ncxItem.path);
+
+    return {
+      title: titleEl ? titleEl.textContent.trim() : "",
+      identifier: identifierEl ? identifierEl.textContent.trim() : "",
+      meta,
+      opfPath,
+      zip: this.zip,
+      items,
+      spine,
+      navItemId: navItem ? navItem.id : null,
+      ncxItemId: ncxItem ? ncxItem.id : null,
+      toc
+    };
+  }
+
+  async _readNavDocument(navPath) {
+    const nav = await this._readXml(navPath, "application/xhtml+xml");
+    if (!nav) return [];
+    const navDir = dirOf(navPath);
+    const tocNav = elementsByLocalName(nav, "nav").find(n => {
+      const type = n.getAttributeNS("http://www.idpf.org/2007/ops", "type") || n.getAttribute("epub:type") || "";
+      return type.split(/\s+/).includes("toc");
+    });
+    const readList = (ol) => childrenByLocalName(ol, "li").map(li => {
+      const label = childrenByLocalName(li, "a")[0] || childrenByLocalName(li, "span")[0];
+      const href = label && label.getAttribute("href");
+      return {
+        title: label ? label.textContent.replace(/\s+/g, " ").trim() : "",
+        target: href ? resolveZipPath(navDir, href) : null,
+        children: readList(childrenByLocalName(li, "ol")[0])
+      };
+    });
+    return tocNav ? readList(childrenByLocalName(tocNav, "ol")[0]) : [];
+  }
+
+  async _readNcx(ncxPath) {
+    const ncx = await this._readXml(ncxPath);
+    if (!ncx) return [];
+    const ncxDir = dirOf(ncxPath);
+    const readPoints = (parent) => childrenByLocalName(parent, "navPoint").map(point => {
+      const text = elementsByLocalName(childrenByLocalName(point, "navLabel")[0] || point, "text")[0];
+      const content = childrenByLocalName(point, "content")[0];
+      const src = content && content.getAttribute("src");
+      return {
+        title: text ? text.textContent.replace(/\s+/g, " ").trim() : "",
+        target: src ? resolveZipPath(ncxDir, src) : null,
+        children: readPoints(point)
+      };
+    });
+    return readPoints(elementsByLocalName(ncx, "navMap")[0]);
+  }
+}
+
+/**
+ * Opens an EPUB and reads its package structure.
+ * @param {Blob} blob - The .epub file.
+ * @param {Function} ZipLib - The JSZip constructor.
+ * @returns {Promise<object>} { title, identifier, meta: {name: content} (OPF2-style metas), opfPath, zip,
+ *   items: Map<id, {id, path, mediaType, properties}>, spine: string[], navItemId, ncxItemId,
+ *   toc: Array<{title, target: {path, fragment}, children}> }. Paths are full zip paths.
+ */
+export async function readEpubPackage(blob, ZipLib) {
+  const zip = await ZipLib.loadAsync(blob);
+  return new EpubReader(zip).read();
+}
@@ -0,0 +1,205 @@
+// epubOutput.js
+// Saves finished EPUBs through the downloads API into configurable subfolders and records where each file went.
+// FileSaver is only the fallback, for contexts without the downloads API (content scripts).
+
+import { sanitizeAndTruncate } from "./filenameGenerator.js";
+
+export const OUTPUT_SETTINGS_STORAGE_KEY = "kemonoEpubOutputSettings";
+export const SAVED_FILES_STORAGE_KEY = "kemonoEpubSavedFiles";
+export const CONFLICT_ACTIONS = ["uniquify", "overwrite", "prompt"];
+export const DEFAULT_OUTPUT_SETTINGS = { subfolderTemplate: "", conflictAction: "uniquify" };
+export const SUBFOLDER_TEMPLATE_FIELDS = ["service", "creator", "creatorId", "year", "month", "day"];
+const SAVED_FILES_LIMIT = 200;
+const PATH_SEGMENT_MAX_LENGTH = 80;
+
+/**
+ * @returns {Promise<object>} { subfolderTemplate: e.g. "Kemono/{service}/{creator}/", conflictAction }
+ */
+export async function getOutputSettings() {
+  const data = await chrome.storage.local.get(OUTPUT_SETTINGS_STORAGE_KEY);
+  return { ...DEFAULT_OUTPUT_SETTINGS, ...(data[OUTPUT_SETTINGS_STORAGE_KEY] || {}) };
+}
+
+export async function saveOutputSettings(changes) {
+  const settings = { ...(await getOutputSettings()), ...changes };
+  if (!CONFLICT_ACTIONS.includes(settings.conflictAction)) settings.conflictAction = DEFAULT_OUTPUT_SETTINGS.conflictAction;
+  await chrome.storage.local.set({ [OUTPUT_SETTINGS_STORAGE_KEY]: settings });
+  return settings;
+}
+
+// Folder names must be valid on every OS and may not climb out of the downloads folder.
+function sanitizePathSegment(segment) {
+  return sanitizeAndTruncate(segment, PATH_SEGMENT_MAX_LENGTH)
+    .replace(/[\x00-\x1f]/g, "_")
+    .trim()
+    .replace(/^[.\s]+|[.\s]+$/g, "");
+}
+
+/**
+ * Expands {service}, {creator}, {creatorId}, {year}, {month} and {day} in a subfolder template.
+ * Unknown placeholders are kept as written.
+ * @returns {string} A relative folder path without leading or trailing slashes ("" for the downloads folder itself).
+ */
+export function expandSubfolderTemplate(template, { service, creatorId, creatorName }, date = new Date()) {
+  const fields = {
+    service: service || "",
+    creator: creatorName || creatorId || "",
+    creatorId: creatorId || "",
+    year: String(date.getFullYear()),
+    month: String(date.getMonth() + 1).padStart(2, "0"),
+    day: String(date.getDate()).padStart(2, "0")
+  };
+  const expanded = (template || "").replace(/\{(\w+)\}/g, (match, key) => (key in fields ? fields[key] : match));
+  return expanded
+    .split(/[\\/]+/)
+    .map(sanitizePathSegment)
+    .filter(Boolean)
+    .join("/");
+}
+
+export function buildDownloadPath(fileName, creatorInfo, settings) {
+  const folder = expandSubfolderTemplate(settings.subfolderTemplate, creatorInfo);
+  return folder ? `${folder}/${fileName}` : fileName;
+}
+
+export function canUseDownloadsApi() {
+  return typeof chrome !== "undefined" && !!chrome.downloads && typeof chrome.downloads.download === "function";
+}
+
+// --- SAVED FILES RECORD ---
+
+// Read-modify-write changes from one page are chained so a record update never overwrites a newer one.
+let savedFilesChange = Promise.resolve();
+
+function changeSavedFiles(change) {
+  const next = savedFilesChange.then(async () => {
+    const data = await chrome.storage.local.get(SAVED_FILES_STORAGE_KEY);
+    const records = data[SAVED_FILES_STORAGE_KEY] || [];
+    if (change(records) === false) return;
+    await chrome.storage.local.set({ [SAVED_FILES_STORAGE_KEY]: records.slice(-SAVED_FILES_LIMIT) });
+  });
+  savedFilesChange = next.catch(() => {});
+  return next;
+}
+
+/**
+ * @returns {Promise<object[]>} Oldest first: { id, downloadId, service, creatorId, creatorName, fileName, path: the
+ *   requested relative path, savedPath: where the browser saved it (once known), method: "downloads"|"filesaver",
+ *   conflictAction, status: "in_progress"|"complete"|"interrupted"|"unknown", error, savedAt }
+ */
+export async function getSavedFiles() {
+  const data = await chrome.storage.local.get(SAVED_FILES_STORAGE_KEY);
+  return data[SAVED_FILES_STORAGE_KEY] || [];
+}
+
+function addSavedFile(record) {
+  return changeSavedFiles(records => {
+    records.push({ id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, savedAt: Date.now(), ...record });
+  });
+}
+
+// Copies a download's state and final location into its record; the background worker calls this as downloads change.
+export async function refreshSavedFile(downloadId) {
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  if (!item) return;
+  const changes = { status: item.state, savedPath: item.filename || null, error: item.error || null };
+  await changeSavedFiles(records => {
+    const record = records.find(r => r.downloadId === downloadId);
+    if (!record || Object.keys(changes).every(key => record[key] === changes[key])) return false;
+    Object.assign(record, changes);
+  });
+}
+
+// --- SAVING ---
+
+/**
+ * Downloads a finished book into the configured subfolder and records it.
+ * @param {string} url - Object URL (or any URL the downloads API accepts) of the book.
+ * @returns {Promise<number>} The download ID.
+ */
+export async function downloadEpub(url, fileName, creatorInfo) {
+  const settings = await getOutputSettings();
+  const path = buildDownloadPath(fileName, creatorInfo, settings);
+  // "prompt" asks through the Save As dialog; the browsers' own "prompt" conflict action is not reliably supported.
+  const downloadId = await chrome.downloads.download({
+    url,
+    filename: path,
+    conflictAction: settings.conflictAction === "overwrite" ? "overwrite" : "uniquify",
+    saveAs: settings.conflictAction === "prompt"
+  });
+  // The download has started; a failure to record it must not make callers save the book a second time.
+  try {
+    await addSavedFile({
+      downloadId,
+      service: creatorInfo.service,
+      creatorId: creatorInfo.creatorId,
+      creatorName: creatorInfo.creatorName || "",
+      fileName,
+      path,
+      savedPath: null,
+      method: "downloads",
+      conflictAction: settings.conflictAction,
+      status: "in_progress",
+      error: null
+    });
+    // Small books can finish before the record exists, so the record is brought up to date once.
+    await refreshSavedFile(downloadId);
+  } catch (e) {
+    console.warn("Could not record saved file:", e);
+  }
+  return downloadId;
+}
+
+export async function saveWithFileSaver(blob, fileName, creatorInfo) {
+  const SaverLib = (typeof saveAs !== "undefined") ? saveAs : (window.saveAs || undefined);
+  if (!SaverLib) throw new Error("FileSaver.js library not found.");
+  SaverLib(blob, fileName);
+  try {
+    await addSavedFile({
+      downloadId: null,
+      service: creatorInfo.service,
+      creatorId: creatorInfo.creatorId,
+      creatorName: creatorInfo.creatorName || "",
+      fileName,
+      path: fileName,
+      savedPath: null,
+      method: "filesaver",
+      conflictAction: null,
+      status: "unknown",
+      error: null
+    });
+  } catch (e) {
+    console.warn("Could not record saved file:", e);
+  }
+}
+
+/**
+ * Saves a book built in this context: through the downloads API where available, otherwise through FileSaver.
+ */
+export async function saveEpubBlob(blob, fileName, creatorInfo) {
+  if (!canUseDownloadsApi()) {
+    await saveWithFileSaver(blob, fileName, creatorInfo);
+    return;
+  }
+  const url = URL.createObjectURL(blob);
+  let downloadId;
+  try {
+    downloadId = await downloadEpub(url, fileName, creatorInfo);
+  } catch (e) {
+    URL.revokeObjectURL(url);
+    console.warn("Downloads API failed; falling back to FileSaver:", e);
+    await saveWithFileSaver(blob, fileName, creatorInfo);
+    return;
+  }
+  // The URL has to stay valid until the browser has read the file (a Save As dialog can take a while).
+  const release = () => {
+    chrome.downloads.onChanged.removeListener(onChanged);
+    URL.revokeObjectURL(url);
+  };
+  const onChanged = (delta) => {
+    if (delta.id === downloadId && delta.state && delta.state.current !== "in_progress") release();
+  };
+  chrome.downloads.onChanged.addListener(onChanged);
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  if (item && item.state !== "in_progress") release();
+}
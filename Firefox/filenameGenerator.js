@@ -1,5 +1,8 @@
 // filenameGenerator.js
 
+import { findNumbers, findTitleNumbers, followsMarker } from "./numberRecognition.js";
+import { createTitleRewriter } from "./titleRules.js";
+
 export function sanitizeAndTruncate(text, maxLength) {
   if (typeof text !== "string") return "";
   const sanitized = text.replace(/[/\\?%*:|"<>]/g, "_").replace(/__+/g, "_");
@@ -11,218 +14,333 @@ export function truncateTitle(title, maxLength = 70) {
   return title.length > maxLength ? `${title.substring(0, maxLength)}...` : title;
 }
 
-// Extracts the first number from a string, supporting decimals (e.g., "124.1" → "124.1").
-// No spelled-out fallback here—use wordedExtractNumber for that.
+// First number of a title as written for a filename (e.g., "Chapter 124.1" → "124.1", "Chapter XIV" → "14",
+// "第十二話" → "12", "Chapter 1,024" → "1024", "Chapitre dix-huit" → "18"). Digits come first ("Act I Scene 2" → "2");
+// Roman numerals and number words only count next to a marker or as the whole title ("Chapter Mix" → ""); see
+// numberRecognition.js.
 export function extractNumber(text) {
+  const [first] = findTitleNumbers(text);
+  return first ? first.text : "";
+}
+
+// Extracts all numbers from a title as an array, in the same way.
+function extractNumbersFromTitle(text) {
+  return findTitleNumbers(text).map(number => number.text);
+}
+
+const BOOK_MARKERS = "b|bk|book|vol|volume|arc|buch|band|livre|tome|libro|tomo|volumen";
+const CHAPTER_MARKERS = "c|ch|chap|chapter|ep|episode|pt|part|kapitel|teil|folge|chapitre|partie|épisode|capítulo|capitulo|parte|episodio|capitolo";
+
+// The first number written right after one of `markers` ("Book 3", "Vol. II", "Buch zwei") or before one of the CJK
+// `counters` ("第2巻").
+function extractMarkedNumber(text, markers, counters) {
+  const number = findNumbers(text).find(n => {
+    const next = text.charAt(n.index + n.length);
+    return followsMarker(text, n.index, markers) || (next && counters.includes(next));
+  });
+  return number ? number.text : "";
+}
+
+// Book/volume number of a title such as "B2 Chapter 14", "Book 3 - Ch. 1", "Vol.2 Part 5" or "Book Two" (e.g., "2").
+// Only an explicit marker counts: a bare second number is often a part or episode, not a book.
+export function extractBookNumber(text) {
   if (!text) return "";
+  return extractMarkedNumber(text, BOOK_MARKERS, "巻卷部");
+}
+
+// Backward-compatible alias
+export function extractFirstNumber(text) {
+  return extractNumber(text);
+}
+
+// Chapter number of a title such as "B2 Chapter 14", "Ep. 3" or "第十二話" (e.g., "14"); without a marker, the
+// second number of a two-number title ("2-14"), otherwise its only number.
+export function extractChapterNumber(text) {
+  if (!text) return "";
+  const marked = extractMarkedNumber(text, CHAPTER_MARKERS, "話话章回節节集篇");
+  if (marked) return marked;
+  const numbers = extractNumbersFromTitle(text);
+  return numbers[1] || numbers[0] || "";
+}
 
-  // Regex for numbers with optional decimal
-  const digitMatch = text.match(/(\d+\.?\d*)/);
-  if (digitMatch) {
-    return digitMatch[1];
+// Title order keys are cached: sorting compares every title many times.
+const titleSortKeys = new Map();
+
+function titleSortKey(title) {
+  if (!titleSortKeys.has(title)) {
+    if (titleSortKeys.size > 5000) titleSortKeys.clear();
+    // Every number in reading order, so "Book Two Chapter 5" sorts by book before chapter.
+    titleSortKeys.set(title, findNumbers(title).map(number => number.value));
   }
+  return titleSortKeys.get(title);
+}
 
-  return "";
+/**
+ * Orders post titles by the numbers in them ("Chapter IX" before "Chapter 10", "Book 2 Ch. 3" before
+ * "Book 10 Ch. 1"); titles without numbers go last. Titles with the same numbers compare equal.
+ */
+export function compareTitleNumbers(a, b) {
+  const keyA = titleSortKey(a || "");
+  const keyB = titleSortKey(b || "");
+  if (keyA.length === 0 !== (keyB.length === 0)) return keyA.length === 0 ? 1 : -1;
+  for (let i = 0; i < Math.min(keyA.length, keyB.length); i++) {
+    if (keyA[i] !== keyB[i]) return keyA[i] - keyB[i];
+  }
+  return keyA.length - keyB.length;
 }
 
-// Extracts all numbers from a string as an array, supporting decimals.
-// Uses extractNumber (digit-only).
-function extractNumbersFromTitle(text) {
-  if (!text) return [];
-  const matches = text.match(/(\d+\.?\d*)/g) || [];
-  return matches.map(numStr => extractNumber(numStr));
-}
-
-// Extracts a number with spelled-out fallback (e.g., "Four Hundred and Thirty-Nine" → "439").
-// Used only as fallback when no digits found.
-// Processes entire text; supports 0-999+ with simple dictionary.
-function wordedExtractNumber(text) {
-  // First, try digits
-  const digitNum = extractNumber(text);
-  if (digitNum) return digitNum;
-
-  if (!text || typeof text !== 'string') return "";
-
-  const wordMap = {
-    'zero': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
-    'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10,
-    'eleven': 11, 'twelve': 12, 'thirteen': 13, 'fourteen': 14, 'fifteen': 15,
-    'sixteen': 16, 'seventeen': 17, 'eighteen': 18, 'nineteen': 19,
-    'twenty': 20, 'thirty': 30, 'forty': 40, 'fifty': 50,
-    'sixty': 60, 'seventy': 70, 'eighty': 80, 'ninety': 90,
-    'hundred': 100, 'thousand': 1000
-  };
+// Natural order of post titles: by their numbers, then alphabetically.
+export function compareTitlesNaturally(a, b) {
+  return compareTitleNumbers(a, b) || (a || "").localeCompare(b || "", undefined, { numeric: true, sensitivity: "base" });
+}
 
-  // Clean entire text: lowercase, remove punctuation, handle compounds ("forty-one"), remove "and", normalize spaces
-  let cleanPhrase = text.toLowerCase()
-    .replace(/[.,;:!?]/g, '')  // Remove common punctuation (handles trailing ".")
-    .replace(/-/g, ' ')  // Hyphens to spaces (e.g., "thirty-nine" → "thirty nine")
-    .replace(/\band\b/gi, '')  // Remove whole "and" (no extra space, as it's a connector)
-    .replace(/\s+/g, ' ')  // Collapse multiple spaces
-    .trim();
-
-  // Split into words and filter valid ones
-  const words = cleanPhrase.split(/\s+/).filter(w => w && wordMap.hasOwnProperty(w));
-
-  if (words.length === 0) return "";
-
-  let total = 0;
-  let temp = 0;
-
-  for (const word of words) {
-    const val = wordMap[word];
-
-    if (val < 100) {
-      // Base number: add to temp
-      temp += val;
-    } else if (val === 100) {
-      // Hundred: multiply current temp
-      temp *= 100;
-    } else if (val === 1000) {
-      // Thousand: add scaled group to total, reset temp for next group
-      total += temp * 1000;
-      temp = 0;
+// Default book title for a selection: a single post's title, or the start the selected titles share
+// ("My Story Ch. 1", "My Story Ch. 2" → "My Story"); otherwise the creator's name.
+export function suggestBookTitle(creatorName, selectedPostsInOrder) {
+  const titles = selectedPostsInOrder.map(p => (p.title || "").trim()).filter(Boolean);
+  if (titles.length === 1) return titles[0];
+  if (titles.length > 1) {
+    const words = titles.map(t => t.split(/\s+/));
+    const common = [];
+    for (let i = 0; words.every(w => i < w.length && w[i].toLowerCase() === words[0][i].toLowerCase()); i++) {
+      common.push(words[0][i]);
     }
+    const prefix = common.join(" ")
+      .replace(/(?:^|\s)(?:ch|chapter|part|pt|ep|episode|b|book|vol|volume)\.?[\s\d.:#-]*$/i, "")
+      .replace(/[\s\d.:#,|(\[–—-]+$/, "")
+      .trim();
+    if (prefix.length >= 4) return prefix;
   }
+  return creatorName || "Unknown";
+}
 
-  // Add remaining temp to total
-  total += temp;
 
-  return String(total);
+// --- FILENAME TEMPLATES ---
+// A template mixes text with {field} tokens. Modifiers follow the field after colons: {firstNum:pad3},
+// {firstTitle:max30}, {creator:lower}, {date:YYYY-MM}. {#field}...{/field} keeps its contents only when the field has
+// a value (or is true), {^field}...{/field} only when it has none; {#single} and {#range} tell one post from several.
+
+export const FILENAME_TEMPLATE_FIELDS = {
+  creator: "Creator name",
+  service: "Service (e.g. patreon)",
+  title: "Book title (Book Metadata, or the suggested title)",
+  series: "Series (Book Metadata)",
+  seriesIndex: "Number in series",
+  firstTitle: "Title of the first post",
+  lastTitle: "Title of the last post",
+  firstNum: "First number in the first post's title (digits first; \"Chapter XIV\" and \"Part Two\" count too)",
+  lastNum: "First number in the last post's title",
+  firstNum2: "Second number in the first post's title (or its only number)",
+  lastNum2: "Second number in the last post's title (or its only number)",
+  book: "Book/volume number of the first post (\"B2\", \"Vol. 2\")",
+  lastBook: "Book/volume number of the last post",
+  chapter: "Chapter number of the first post",
+  lastChapter: "Chapter number of the last post",
+  count: "Number of posts",
+  date: "Publish date of the first post",
+  lastDate: "Publish date of the last post",
+  tag: "Tag filter in use",
+  single: "True for one post",
+  range: "True for several posts"
+};
+
+// Untitled posts read "single_post", or "start"/"end" in a range.
+const TITLES_TEMPLATE = "{#single}{firstTitle:max60}{^firstTitle}single_post{/firstTitle}{/single}" +
+  "{#range}{firstTitle:max30}{^firstTitle}start{/firstTitle}-{lastTitle:max30}{^lastTitle}end{/lastTitle}{/range}";
+
+// The built-in patterns, by the ids earlier versions stored as "filenamePattern".
+export const FILENAME_PRESETS = {
+  titles_only: {
+    label: "Post Titles Only (Chapter_1-Chapter_2)",
+    template: TITLES_TEMPLATE
+  },
+  creator_titles: {
+    label: "Creator_Post Titles (Creator_Chapter_1-Chapter_2)",
+    template: `{creator}_${TITLES_TEMPLATE}`
+  },
+  creator_numbers: {
+    label: "Creator_Numbers (Creator_1-25)",
+    template: `{creator}_{#firstNum}{firstNum}{#range}{#lastNum}-{lastNum}{/lastNum}{/range}{/firstNum}{^firstNum}${TITLES_TEMPLATE}{/firstNum}`
+  },
+  creator_second_numbers: {
+    label: "Creator_Numbers_2 (\"Creator_47\" for \"B3 Chapter 47\")",
+    template: `{creator}_{#firstNum2}{firstNum2}{#range}{#lastNum2}-{lastNum2}{/lastNum2}{/range}{/firstNum2}{^firstNum2}${TITLES_TEMPLATE}{/firstNum2}`
+  },
+  creator_book_chapter_numbers: {
+    label: "Creator_Book and Chapter (Creator_B2C1-B2C4)",
+    // As before templates: the first number is the book and the second the chapter ("2-14" → "B2C14"), so a
+    // one-number title repeats it ("Chapter 12" → "B12C12").
+    template: `{creator}_{#firstNum}B{firstNum}C{firstNum2}{#range}{#lastNum}-B{lastNum}C{lastNum2}{/lastNum}{/range}{/firstNum}{^firstNum}${TITLES_TEMPLATE}{/firstNum}`
+  },
+  book_title: {
+    label: "Book Title (from Book Metadata)",
+    template: "{title:max80}"
+  },
+  series_book_title: {
+    label: "Series Number - Book Title (Series 02 - Title)",
+    template: "{#series}{series:max60} {seriesIndex:pad2} - {/series}{title:max80}"
+  }
+};
+
+// A stored pattern is either a preset id or a template of its own.
+export function resolveFilenameTemplate(pattern) {
+  if (FILENAME_PRESETS[pattern]) return FILENAME_PRESETS[pattern].template;
+  return pattern && pattern.includes("{") ? pattern : FILENAME_PRESETS.titles_only.template;
 }
 
-// Backward-compatible alias (uses digit-only for consistency with updates)
-export function extractFirstNumber(text) {
-  return extractNumber(text);
+const TEMPLATE_TOKEN = /\{([#^/]?)([A-Za-z0-9]+)((?::[^:{}]*)*)\}/g;
+const DATE_FORMAT = /^(?=.*[YMD])[YMD\-_. ]+$/;
+
+function checkModifier(modifier, field) {
+  if (/^(?:pad|max)\d+$/.test(modifier) || ["upper", "lower"].includes(modifier)) return;
+  if ((field === "date" || field === "lastDate") && DATE_FORMAT.test(modifier)) return;
+  throw new Error(`Unknown modifier ":${modifier}" in {${field}}.`);
 }
 
 /**
- * Generates an EPUB filename based on selected posts and a chosen pattern.
- * Supports single/multi posts, with creator prefix where applicable.
- * Spelled-out numbers fallback only in "creator_numbers".
- * @param {string} creatorName - The display name of the creator.
- * @param {Array<object>} selectedPostsInOrder - Array of selected posts sorted chronologically.
- * @param {string} filenamePattern - One of: "titles_only", "creator_titles", "creator_numbers", "creator_second_numbers", "creator_book_chapter_numbers".
- * @returns {string} The generated filename (e.g., "my_ebook.epub").
+ * Parses a filename template into text, field and section nodes.
+ * @throws {Error} On unknown fields or modifiers and unbalanced sections, with a message meant for the user.
  */
-export function generateDynamicFilename(creatorName, selectedPostsInOrder, filenamePattern) {
-  let baseFilename = "";
+export function parseFilenameTemplate(template) {
+  const root = [];
+  const open = [{ section: null, nodes: root }];
+  let textStart = 0;
+  for (const match of template.matchAll(TEMPLATE_TOKEN)) {
+    const [token, kind, field, modifierText] = match;
+    const current = open[open.length - 1];
+    if (match.index > textStart) current.nodes.push({ text: template.slice(textStart, match.index) });
+    textStart = match.index + token.length;
+    if (!(field in FILENAME_TEMPLATE_FIELDS)) throw new Error(`Unknown field {${field}}.`);
+    const modifiers = modifierText ? modifierText.slice(1).split(":") : [];
+    if (kind === "#" || kind === "^") {
+      const section = { section: field, inverted: kind === "^", nodes: [] };
+      current.nodes.push(section);
+      open.push(section);
+    } else if (kind === "/") {
+      if (current.section !== field) throw new Error(`{/${field}} does not close an open {#${field}} or {^${field}}.`);
+      open.pop();
+    } else {
+      modifiers.forEach(modifier => checkModifier(modifier, field));
+      current.nodes.push({ field, modifiers });
+    }
+  }
+  if (open.length > 1) {
+    const { section } = open[open.length - 1];
+    throw new Error(`{#${section}} is never closed with {/${section}}.`);
+  }
+  if (textStart < template.length) root.push({ text: template.slice(textStart) });
+  return root;
+}
 
-  const numSelected = selectedPostsInOrder.length;
-  const sanitizedCreatorName = sanitizeAndTruncate(creatorName || "Unknown", 60);
+function formatDate(date, format) {
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: String(date.getMonth() + 1).padStart(2, "0"),
+    DD: String(date.getDate()).padStart(2, "0")
+  };
+  return format.replace(/YYYY|YY|MM|DD/g, part => parts[part]);
+}
 
-  if (numSelected === 0) {
-    baseFilename = sanitizedCreatorName || "kemono_ebook";
-  } else if (numSelected === 1) {
-    const postTitle = selectedPostsInOrder[0].title || "";
-    let postNumber = extractNumber(postTitle);
+function renderFieldValue(value, modifiers) {
+  if (value instanceof Date) {
+    const format = modifiers.find(modifier => DATE_FORMAT.test(modifier)) || "YYYY-MM-DD";
+    value = formatDate(value, format);
+  }
+  let text = value === null || value === undefined || typeof value === "boolean" ? "" : String(value);
+  modifiers.forEach(modifier => {
+    const [, kind, size] = modifier.match(/^(pad|max)(\d+)$/) || [];
+    if (kind === "pad") text = text.replace(/^\d+/, digits => digits.padStart(Number(size), "0"));
+    else if (kind === "max") text = text.substring(0, Number(size));
+    else if (modifier === "upper") text = text.toUpperCase();
+    else if (modifier === "lower") text = text.toLowerCase();
+  });
+  return sanitizeAndTruncate(text.trim(), 200);
+}
 
-    // Spelled-out fallback only for creator_numbers
-    if (filenamePattern === "creator_numbers" && postNumber === "") {
-      postNumber = wordedExtractNumber(postTitle);
-    }
+function renderTemplateNodes(nodes, values) {
+  return nodes.map(node => {
+    if ("text" in node) return node.text;
+    if (node.field) return renderFieldValue(values[node.field], node.modifiers);
+    const value = values[node.section];
+    const present = value instanceof Date || !!value;
+    return present !== node.inverted ? renderTemplateNodes(node.nodes, values) : "";
+  }).join("");
+}
 
-    switch (filenamePattern) {
-      case "titles_only":
-        baseFilename = sanitizeAndTruncate(postTitle, 60) || "single_post";
-        break;
-      case "creator_titles":
-        baseFilename = `${sanitizedCreatorName}_${sanitizeAndTruncate(postTitle, 60) || "single_post"}`;
-        break;
-      case "creator_numbers":
-        if (postNumber) {
-          baseFilename = `${sanitizedCreatorName}_${postNumber}`;
-        } else {
-          baseFilename = `${sanitizedCreatorName}_${sanitizeAndTruncate(postTitle, 60) || "single_post"}`;
-        }
-        break;
-      case "creator_second_numbers":
-        const numbers = extractNumbersFromTitle(postTitle);  // Digit-only
-        const secondNum = numbers.length > 1 ? numbers[1] : (numbers.length === 1 ? numbers[0] : postNumber);
-        if (secondNum) {
-          baseFilename = `${sanitizedCreatorName}_${secondNum}`;
-        } else {
-          baseFilename = `${sanitizedCreatorName}_${sanitizeAndTruncate(postTitle, 60) || "single_post"}`;
-        }
-        break;
-      case "creator_book_chapter_numbers":
-        const bookChapterNums = extractNumbersFromTitle(postTitle);  // Digit-only
-        const bookNum = bookChapterNums[0] || "";
-        const chapterNum = bookChapterNums[1] || bookChapterNums[0] || "";
-        const formatted = bookNum ? `B${bookNum}C${chapterNum}` : chapterNum;
-        if (formatted) {
-          baseFilename = `${sanitizedCreatorName}_${formatted}`;
-        } else {
-          baseFilename = `${sanitizedCreatorName}_${sanitizeAndTruncate(postTitle, 60) || "single_post"}`;
-        }
-        break;
-      default:
-        baseFilename = sanitizeAndTruncate(postTitle, 60) || "single_post";
-        break;
-    }
-  } else {  // Multi-post
-    const firstPostTitle = selectedPostsInOrder[0].title || "";
-    const lastPostTitle = selectedPostsInOrder[numSelected - 1].title || "";
-    let firstNumber = extractNumber(firstPostTitle);
-    let lastNumber = extractNumber(lastPostTitle);
-
-    // Spelled-out fallback only for creator_numbers
-    if (filenamePattern === "creator_numbers") {
-      if (firstNumber === "") firstNumber = wordedExtractNumber(firstPostTitle);
-      if (lastNumber === "") lastNumber = wordedExtractNumber(lastPostTitle);
-    }
+function parsePostDate(post) {
+  const date = post && post.published ? new Date(post.published) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
 
-    switch (filenamePattern) {
-      case "titles_only":
-        baseFilename = `${sanitizeAndTruncate(firstPostTitle, 30) || "start"}-${sanitizeAndTruncate(lastPostTitle, 30) || "end"}`;
-        break;
-      case "creator_titles":
-        baseFilename = `${sanitizedCreatorName}_${sanitizeAndTruncate(firstPostTitle, 30) || "start"}-${sanitizeAndTruncate(lastPostTitle, 30) || "end"}`;
-        break;
-      case "creator_numbers":
-        if (firstNumber && lastNumber) {
-          baseFilename = `${sanitizedCreatorName}_${firstNumber}-${lastNumber}`;
-        } else if (firstNumber) {
-          baseFilename = `${sanitizedCreatorName}_${firstNumber}`;
-        } else {
-          baseFilename = `${sanitizedCreatorName}_${sanitizeAndTruncate(firstPostTitle, 30) || "start"}-${sanitizeAndTruncate(lastPostTitle, 30) || "end"}`;
-        }
-        break;
-      case "creator_second_numbers":
-        const firstNums = extractNumbersFromTitle(firstPostTitle);  // Digit-only
-        const lastNums = extractNumbersFromTitle(lastPostTitle);
-        const firstSecond = firstNums.length > 1 ? firstNums[1] : (firstNums.length === 1 ? firstNums[0] : firstNumber);
-        const lastSecond = lastNums.length > 1 ? lastNums[1] : (lastNums.length === 1 ? lastNums[0] : lastNumber);
-        if (firstSecond && lastSecond) {
-          baseFilename = `${sanitizedCreatorName}_${firstSecond}-${lastSecond}`;
-        } else if (firstSecond) {
-          baseFilename = `${sanitizedCreatorName}_${firstSecond}`;
-        } else {
-          baseFilename = `${sanitizedCreatorName}_${sanitizeAndTruncate(firstPostTitle, 30) || "start"}-${sanitizeAndTruncate(lastPostTitle, 30) || "end"}`;
-        }
-        break;
-      case "creator_book_chapter_numbers":
-        const firstBookNums = extractNumbersFromTitle(firstPostTitle);  // Digit-only
-        const lastBookNums = extractNumbersFromTitle(lastPostTitle);
-        const firstBook = firstBookNums[0] || "";
-        const firstChapter = firstBookNums[1] || firstBookNums[0] || "";
-        const lastBook = lastBookNums[0] || "";
-        const lastChapter = lastBookNums[1] || lastBookNums[0] || "";
-        const firstFormatted = firstBook ? `B${firstBook}C${firstChapter}` : firstChapter;
-        const lastFormatted = lastBook ? `B${lastBook}C${lastChapter}` : lastChapter;
-        if (firstFormatted && lastFormatted) {
-          baseFilename = `${sanitizedCreatorName}_${firstFormatted}-${lastFormatted}`;
-        } else if (firstFormatted) {
-          baseFilename = `${sanitizedCreatorName}_${firstFormatted}`;
-        } else {
-          baseFilename = `${sanitizedCreatorName}_${sanitizeAndTruncate(firstPostTitle, 30) || "start"}-${sanitizeAndTruncate(lastPostTitle, 30) || "end"}`;
-        }
-        break;
-      default:
-        baseFilename = `${sanitizeAndTruncate(firstPostTitle, 30) || "start"}-${sanitizeAndTruncate(lastPostTitle, 30) || "end"}`;
-        break;
-    }
-  }
+/**
+ * The values a template can use for a selection.
+ * @param {object} details - { service, tag, book: Book Metadata fields ({ title, series, seriesIndex }),
+ *   titleRules: the creator's title rules, so {firstTitle} and {lastTitle} match the chapter headings }
+ *   Numbers are still read from the posts' own titles, which a numbering template would otherwise replace.
+ */
+export function buildFilenameTemplateValues(creatorName, selectedPostsInOrder,
+  { service = "", tag = "", book = {}, titleRules = null } = {}) {
+  const first = selectedPostsInOrder[0] || {};
+  const last = selectedPostsInOrder[selectedPostsInOrder.length - 1] || {};
+  const firstTitle = (first.title || "").trim();
+  const lastTitle = (last.title || "").trim();
+  const rewriteTitle = createTitleRewriter(titleRules);
+  const secondNumber = title => {
+    const numbers = extractNumbersFromTitle(title);
+    return numbers[1] || numbers[0] || "";
+  };
+  return {
+    creator: sanitizeAndTruncate(creatorName || "Unknown", 60),
+    service,
+    title: (book.title || "").trim() || suggestBookTitle(creatorName, selectedPostsInOrder),
+    series: (book.series || "").trim(),
+    seriesIndex: String(Number(book.seriesIndex) || 1),
+    firstTitle: rewriteTitle(firstTitle, 1),
+    lastTitle: rewriteTitle(lastTitle, selectedPostsInOrder.length),
+    firstNum: extractNumber(firstTitle),
+    lastNum: extractNumber(lastTitle),
+    firstNum2: secondNumber(firstTitle),
+    lastNum2: secondNumber(lastTitle),
+    book: extractBookNumber(firstTitle),
+    lastBook: extractBookNumber(lastTitle),
+    chapter: extractChapterNumber(firstTitle),
+    lastChapter: extractChapterNumber(lastTitle),
+    count: selectedPostsInOrder.length,
+    date: parsePostDate(first),
+    lastDate: parsePostDate(last),
+    tag: tag || "",
+    single: selectedPostsInOrder.length === 1,
+    range: selectedPostsInOrder.length > 1
+  };
+}
+
+/**
+ * Expands a filename template (see FILENAME TEMPLATES above) into a file name without the extension.
+ * @throws {Error} If the template does not parse.
+ */
+export function renderFilenameTemplate(template, values) {
+  return sanitizeAndTruncate(renderTemplateNodes(parseFilenameTemplate(template), values).trim(), 200)
+    .replace(/\.epub$/i, "");
+}
 
-  return `${baseFilename}.epub`;
+/**
+ * Generates an EPUB filename for the selected posts.
+ * @param {string} creatorName - The display name of the creator.
+ * @param {Array<object>} selectedPostsInOrder - Array of selected posts sorted chronologically.
+ * @param {string} filenamePattern - A FILENAME_PRESETS id ("titles_only", "creator_numbers", ...) or a template.
+ *   A template that does not parse falls back to "titles_only".
+ * @param {object} [details] - { service, tag, book, titleRules } for the template fields; see buildFilenameTemplateValues.
+ * @returns {string} The generated filename (e.g., "my_ebook.epub").
+ */
+export function generateDynamicFilename(creatorName, selectedPostsInOrder, filenamePattern, details = {}) {
+  const values = buildFilenameTemplateValues(creatorName, selectedPostsInOrder, details);
+  let baseFilename;
+  try {
+    baseFilename = renderFilenameTemplate(resolveFilenameTemplate(filenamePattern), values);
+  } catch (e) {
+    console.warn(`Filename template "${filenamePattern}" is invalid, using post titles:`, e.message);
+    baseFilename = renderFilenameTemplate(FILENAME_PRESETS.titles_only.template, values);
+  }
+  return `${baseFilename || values.creator || "kemono_ebook"}.epub`;
 }
@@ -1,12 +1,60 @@
 // index.js
 // HTML/JS logic for the EPUB creator UI in a new tab.
 
-import { generateKemonoEpub, fetchPostListPage, fetchCreatorProfile, fetchTagsList } from "./EpubGenerator.js";
+import {
+  fetchPostListPage,
+  fetchCreatorProfile,
+  fetchTagsList,
+  readEpubSourceInfo,
+  fetchPostDetail,
+  DEFAULT_VOLUME_SPLIT
+} from "./EpubGenerator.js";
 import {
   sanitizeAndTruncate,
   truncateTitle,
-  generateDynamicFilename
+  generateDynamicFilename,
+  suggestBookTitle,
+  FILENAME_PRESETS,
+  FILENAME_TEMPLATE_FIELDS,
+  resolveFilenameTemplate,
+  parseFilenameTemplate
 } from "./filenameGenerator.js";
+import { BuildCheckpoint, findUnfinishedBuild } from "./buildCheckpoint.js";
+import { FINISHED_BUILD_STATUSES } from "./buildHost.js";
+import {
+  watchCreator,
+  unwatchCreator,
+  markCreatorSeen,
+  getWatchInterval,
+  setWatchInterval,
+  getWatchList,
+  watchKey,
+  setAutoBuildRule,
+  WATCH_LIST_STORAGE_KEY
+} from "./watchList.js";
+import {
+  getCreatorSettings,
+  saveCreatorSettings,
+  getSavedFilenameTemplates,
+  saveFilenameTemplate,
+  deleteFilenameTemplate,
+  FILENAME_TEMPLATES_STORAGE_KEY
+} from "./creatorSettings.js";
+import { addQueueJobs } from "./buildQueue.js";
+import { DOWNLOAD_HISTORY_STORAGE_KEY, getPackedPosts } from "./downloadHistory.js";
+import { DEFAULT_TOC_GROUPING, parseTocGroupRules } from "./tocGrouping.js";
+import { DEFAULT_CHAPTER_ORDER, MANUAL_ORDER_LIMIT, orderPosts, moveInOrder } from "./chapterOrder.js";
+import { DEFAULT_TITLE_RULES, parseTitleRules, createTitleRewriter, previewTitleRules } from "./titleRules.js";
+import { DEFAULT_CONTENT_CLEANUP, parseContentCleanupRules, previewContentCleanup } from "./contentCleanup.js";
+import {
+  getOutputSettings,
+  saveOutputSettings,
+  buildDownloadPath,
+  getSavedFiles,
+  saveWithFileSaver,
+  SAVED_FILES_STORAGE_KEY
+} from "./epubOutput.js";
+import { loadCreatorListing, saveCreatorListing, getCacheStats, clearPostCache, postVersion } from "./postCache.js";
 
 // --- Global state ---
 let allFetchedPosts = [];
@@ -24,6 +72,16 @@ let sampleCover = "";
 let isPacking = false;
 let progress = 0;
 let progressMessage = "";
+let activeBuild = null; // state of the background build this tab follows (see buildHost.js)
+let followedBuildId = null; // set as soon as a build is submitted, before its first state arrives
+let lastFinishedBuildId = null;
+const submittedBuildIds = new Set(); // builds started from this tab, which saves them if the downloads API fails
+let unfinishedBuild = null; // checkpointed job for this creator that can be resumed
+let packedPosts = new Map(); // post id -> earlier EPUBs of this creator that include it (downloadHistory.js)
+let baseEpub = null; // earlier book to update instead of creating a new one
+let baseEpubInfo = null; // its source info: { title, source, posts }
+let isCreatorWatched = false;
+let watchEntry = null; // this creator's watch list entry, including its auto-build rule
 
 // Filter state
 let currentFilter = { tag: "", q: "" };
@@ -34,10 +92,27 @@ let creatorName = "";
 
 let availableTags = [];
 
-let selectedFilenamePattern = "titles_only";
+let selectedFilenamePattern = "titles_only"; // FILENAME_PRESETS id or a template
+let savedFilenameTemplates = []; // [{ name, template }]
 
 let enableCover = true;
 
+let documentPlacement = "auto";
+let tocGrouping = { ...DEFAULT_TOC_GROUPING }; // saved per creator (creatorSettings.js)
+let chapterOrder = { ...DEFAULT_CHAPTER_ORDER }; // saved per creator (creatorSettings.js)
+let draggedPostId = null; // post being dragged in the chapter order editor
+let titleRules = { ...DEFAULT_TITLE_RULES }; // saved per creator (creatorSettings.js)
+let contentCleanup = { ...DEFAULT_CONTENT_CLEANUP }; // saved per creator (creatorSettings.js)
+let cleanupSample = null; // full post the cleanup rules are previewed on
+let volumeSplit = { ...DEFAULT_VOLUME_SPLIT }; // saved per creator
+let bookDescription = ""; // saved per creator; empty for the generated description
+const DEFAULT_BOOK_METADATA = { title: "", subtitle: "", author: "", authorFileAs: "", series: "", seriesIndex: 1 };
+let bookMetadata = { ...DEFAULT_BOOK_METADATA }; // saved per creator; empty fields fall back to the defaults
+let assetConcurrency = 3;
+let retryAttempts = 4;
+let retryMaxDelaySeconds = 30;
+let outputSettings = null; // subfolder template and conflict policy for saved EPUBs (epubOutput.js)
+
 let rangeStartId = "";
 let rangeEndId = "";
 
@@ -49,22 +124,89 @@ const POSTS_PER_PAGE_FOR_LIST = 50;
 const KEMONO_IMG_BASE_URL_DEFAULT_ICON = "https://img.kemono.cr";
 const FILENAME_PATTERN_STORAGE_KEY = "kemonoEpubFilenamePattern";
 const COVER_ENABLED_STORAGE_KEY = "kemonoEpubCoverEnabled";
+const DOCUMENT_PLACEMENT_STORAGE_KEY = "kemonoEpubDocumentPlacement";
+const ASSET_CONCURRENCY_STORAGE_KEY = "kemonoEpubAssetConcurrency";
+const RETRY_ATTEMPTS_STORAGE_KEY = "kemonoEpubRetryAttempts";
+const RETRY_MAX_DELAY_STORAGE_KEY = "kemonoEpubRetryMaxDelay";
 
 // --- DOM refs ---
 let creatorNameDisplay = null;
 let fileNameInput = null;
 let filenamePatternSelect = null;
+let filenameTemplateGroup = null;
+let filenameTemplateInput = null;
+let filenameTemplateMsg = null;
+let saveFilenameTemplateBtn = null;
+let deleteFilenameTemplateBtn = null;
 let coverImageUrlInput = null;
 let coverPreviewImg = null;
 let enableCoverToggle = null;
 let coverImageGroup = null;
+let documentPlacementSelect = null;
+let chapterOrderSelect = null;
+let chapterOrderEditor = null;
+let chapterOrderCountSpan = null;
+let chapterOrderList = null;
+let titleRulesEditor = null;
+let titleRulesInput = null;
+let titleNumberingInput = null;
+let titleRulesPreview = null;
+let contentCleanupInput = null;
+let leadingNotesToggle = null;
+let trailingNotesToggle = null;
+let cleanupPreviewBtn = null;
+let contentCleanupPreview = null;
+let tocGroupingSelect = null;
+let tocGroupRulesGroup = null;
+let tocGroupRulesInput = null;
+let tocGroupRulesMsg = null;
+let volumeDividersGroup = null;
+let volumeDividersToggle = null;
+let bookDescriptionInput = null;
+const bookMetadataInputs = {}; // field -> input element
+let volumeSplitSelect = null;
+let volumeSplitNote = null;
+let volumeSplitChaptersGroup = null;
+let volumeSplitChaptersInput = null;
+let volumeSplitSizeGroup = null;
+let volumeSplitSizeInput = null;
+let assetConcurrencyInput = null;
+let retryAttemptsInput = null;
+let retryMaxDelayInput = null;
 let packEpubButton = null;
+let queueEpubButton = null;
+let queueMsgSpan = null;
 let progressBar = null;
 let progressMsgSpan = null;
+let buildControls = null;
+let pauseBuildBtn = null;
+let stopBuildBtn = null;
+let cancelBuildBtn = null;
+let resumeBuildBanner = null;
+let resumeBuildText = null;
+let resumeBuildBtn = null;
+let discardBuildBtn = null;
+let cacheStatsSpan = null;
+let baseEpubInput = null;
+let watchControls = null;
+let watchCreatorBtn = null;
+let watchIntervalSelect = null;
+let autoBuildControls = null;
+let autoBuildModeSelect = null;
+let autoBuildCountInput = null;
+let autoBuildStatusSpan = null;
+let baseEpubInfoSpan = null;
+let clearBaseEpubBtn = null;
+let clearCacheBtn = null;
+let subfolderTemplateInput = null;
+let conflictActionSelect = null;
+let outputPathPreview = null;
+let savedFilesList = null;
 let selectedPostsCountSpan = null;
 let totalPostsCountSpan = null;
 let selectAllBtn = null;
 let unselectAllBtn = null;
+let selectUnpackedBtn = null;
 let selectRangeStartChapter = null;
 let selectRangeEndChapter = null;
 let chapterListUl = null;
@@ -173,6 +315,7 @@ function handleApplyFilter() {
 
   // Update state (clear opposite filter)
   currentFilter = { tag: newTag !== "custom" ? newTag : "", q: newQ };
+  saveCurrentCreatorSettings();
 
   // Reset for new filter: Clear data, range, selections, offset, end flag
   rangeStartId = "";
@@ -213,25 +356,103 @@ function handleCoverToggleChange(event) {
     }
   }
 
+  saveCurrentCreatorSettings();
   updateFilenameDisplay();
 }
 
 // --- UI updates ---
 function updateFilenameDisplay() {
+  const selectedInOrder = selectedPostsInBookOrder();
   if (!isFilenameManuallyEdited) {
-    const selectedInOrder = allFetchedPosts
-      .filter((post) => selectedPosts[post.id])
-      .sort(
-        (a, b) =>
-          new Date(a.published).getTime() - new Date(b.published).getTime()
-      );
     fileName = generateDynamicFilename(
       creatorName,
       selectedInOrder,
-      selectedFilenamePattern
+      selectedFilenamePattern,
+      filenameDetails()
     );
   }
+  updateFilenameTemplatePreview(selectedInOrder);
+  // The placeholders show what an empty field becomes.
+  if (bookMetadataInputs.title) bookMetadataInputs.title.placeholder = suggestBookTitle(creatorName, selectedInOrder);
+  if (bookMetadataInputs.author) bookMetadataInputs.author.placeholder = creatorName;
   if (fileNameInput) fileNameInput.value = fileName;
+  updateOutputPathPreview();
+}
+
+function filenameDetails() {
+  return { service, tag: currentFilter.tag, book: bookMetadata, titleRules };
+}
+
+// Templates preview against the selection, or the first listed posts while nothing is selected.
+function updateFilenameTemplatePreview(selectedInOrder) {
+  if (!filenameTemplateMsg || FILENAME_PRESETS[selectedFilenamePattern]) return;
+  if (!selectedFilenamePattern) {
+    filenameTemplateMsg.textContent = "Type a template using the fields listed below.";
+    return;
+  }
+  try {
+    parseFilenameTemplate(selectedFilenamePattern);
+  } catch (err) {
+    filenameTemplateMsg.textContent = err.message;
+    return;
+  }
+  const sample = selectedInOrder.length > 0 ? selectedInOrder : allFetchedPosts.slice(0, 3);
+  const name = generateDynamicFilename(creatorName, sample, selectedFilenamePattern, filenameDetails());
+  filenameTemplateMsg.textContent = selectedInOrder.length > 0
+    ? `Preview: ${name}`
+    : `Preview (first ${sample.length} listed post(s)): ${name}`;
+}
+
+function updateOutputPathPreview() {
+  if (!outputPathPreview || !outputSettings) return;
+  outputPathPreview.textContent = buildDownloadPath(fileName || "book.epub", { service, creatorId, creatorName }, outputSettings);
+}
+
+async function loadOutputSettings() {
+  outputSettings = await getOutputSettings();
+  if (subfolderTemplateInput) subfolderTemplateInput.value = outputSettings.subfolderTemplate;
+  if (conflictActionSelect) conflictActionSelect.value = outputSettings.conflictAction;
+  updateOutputPathPreview();
+}
+
+async function handleOutputSettingsChange() {
+  outputSettings = await saveOutputSettings({
+    subfolderTemplate: subfolderTemplateInput ? subfolderTemplateInput.value.trim() : "",
+    conflictAction: conflictActionSelect ? conflictActionSelect.value : "uniquify"
+  });
+  updateOutputPathPreview();
+}
+
+const SAVED_FILES_SHOWN = 5;
+
+async function refreshSavedFiles() {
+  if (!savedFilesList || !service || !creatorId) return;
+  const records = (await getSavedFiles())
+    .filter((r) => r.service === service && r.creatorId === creatorId)
+    .slice(-SAVED_FILES_SHOWN)
+    .reverse();
+  if (records.length === 0) {
+    const li = document.createElement("li");
+    li.textContent = "Nothing saved yet.";
+    savedFilesList.replaceChildren(li);
+    return;
+  }
+  savedFilesList.replaceChildren(...records.map((record) => {
+    const li = document.createElement("li");
+    const text = document.createElement("span");
+    const when = new Date(record.savedAt).toLocaleString();
+    const status = record.status === "complete" ? "" : ` (${record.error || record.status.replace("_", " ")})`;
+    text.textContent = `${when}: ${record.savedPath || record.path}${status}`;
+    li.appendChild(text);
+    if (record.downloadId !== null && record.status === "complete") {
+      const showBtn = document.createElement("button");
+      showBtn.className = "button-secondary";
+      showBtn.textContent = "Show";
+      showBtn.addEventListener("click", () => chrome.downloads.show(record.downloadId));
+      li.appendChild(showBtn);
+    }
+    return li;
+  }));
 }
 
 function updateRangeSelectorsDisplay() {
@@ -288,6 +509,16 @@ function updateChapterListDisplay() {
     label.appendChild(input);
     label.appendChild(document.createTextNode(post.title));
     label.appendChild(spanDate);
+    const packedIn = packedPosts.get(String(post.id));
+    if (packedIn) {
+      const badge = document.createElement("span");
+      badge.className = "packed-badge";
+      badge.textContent = "Packed";
+      badge.title = "Already in: " + packedIn
+        .map((entry) => `${entry.fileName} (${new Date(entry.createdAt).toLocaleDateString()})`)
+        .join(", ");
+      label.appendChild(badge);
+    }
     li.appendChild(label);
     chapterListUl.appendChild(li);
   });
@@ -315,7 +546,15 @@ function updateSelectedCountsDisplay() {
       isPacking || count === 0 || isLoadingPosts || isLoadingMore;
     packEpubButton.textContent = isPacking
       ? `Packing... ${progress.toFixed(0)}%`
-      : `Pack ${count} Post(s) as EPUB`;
+      : baseEpub
+        ? `Update EPUB with ${count} Post(s)`
+        : `Pack ${count} Post(s) as EPUB`;
+  }
+  if (queueEpubButton) {
+    queueEpubButton.disabled = count === 0 || isLoadingPosts || isLoadingMore;
+    queueEpubButton.title = baseEpub
+      ? "Updating an existing EPUB cannot be queued; use the button above."
+      : "Build after the jobs already in the batch queue";
   }
 }
 
@@ -335,6 +574,9 @@ function updateCoverPreviewDisplay() {
 
 function updateOverallUIState() {
   if (creatorNameDisplay) creatorNameDisplay.textContent = creatorName;
+  if (watchControls) watchControls.style.display = service && creatorId ? "flex" : "none";
+  if (watchCreatorBtn) watchCreatorBtn.textContent = isCreatorWatched ? "Watching ✓ (click to stop)" : "Watch for New Posts";
+  updateAutoBuildDisplay();
 
   if (errorMessageDiv) {
     errorMessageDiv.textContent = error || "";
@@ -346,13 +588,58 @@ function updateOverallUIState() {
     progressMsgSpan.style.display = isPacking ? "inline" : "none";
   if (progressBar) progressBar.value = progress;
   if (progressMsgSpan) progressMsgSpan.textContent = progressMessage;
+  if (buildControls) buildControls.style.display = isPacking ? "flex" : "none";
+  if (pauseBuildBtn) pauseBuildBtn.textContent = activeBuild?.status === "paused" ? "Resume" : "Pause";
+  const stopping = !activeBuild || activeBuild.status === "stopping";
+  if (pauseBuildBtn) pauseBuildBtn.disabled = stopping;
+  if (stopBuildBtn) stopBuildBtn.disabled = stopping;
+  if (cancelBuildBtn) cancelBuildBtn.disabled = stopping;
+
+  const showResume = !!unfinishedBuild && !isPacking;
+  if (resumeBuildBanner) resumeBuildBanner.style.display = showResume ? "flex" : "none";
+  if (resumeBuildText && showResume) {
+    const when = new Date(unfinishedBuild.updatedAt).toLocaleString();
+    resumeBuildText.textContent = `Unfinished build from ${when}: ${unfinishedBuild.completed}/${unfinishedBuild.stubs.length} post(s) done.`;
+  }
 
   if (fileNameInput) fileNameInput.disabled = isPacking;
   if (filenamePatternSelect) filenamePatternSelect.disabled = isPacking;
+  if (filenameTemplateInput) filenameTemplateInput.disabled = isPacking;
+  if (saveFilenameTemplateBtn) saveFilenameTemplateBtn.disabled = isPacking;
+  if (deleteFilenameTemplateBtn) deleteFilenameTemplateBtn.disabled = isPacking;
   if (coverImageUrlInput && enableCover) coverImageUrlInput.disabled = isPacking;
   if (enableCoverToggle) enableCoverToggle.disabled = isPacking;
+  if (documentPlacementSelect) documentPlacementSelect.disabled = isPacking;
+  if (chapterOrderSelect) chapterOrderSelect.disabled = isPacking;
+  updateChapterOrderEditor();
+  if (titleRulesInput) titleRulesInput.disabled = isPacking;
+  if (titleNumberingInput) titleNumberingInput.disabled = isPacking;
+  updateTitleRulesPreview();
+  if (contentCleanupInput) contentCleanupInput.disabled = isPacking;
+  if (leadingNotesToggle) leadingNotesToggle.disabled = isPacking;
+  if (trailingNotesToggle) trailingNotesToggle.disabled = isPacking;
+  if (cleanupPreviewBtn) cleanupPreviewBtn.disabled = isPacking || allFetchedPosts.length === 0;
+  if (tocGroupingSelect) tocGroupingSelect.disabled = isPacking;
+  if (tocGroupRulesInput) tocGroupRulesInput.disabled = isPacking;
+  if (volumeDividersToggle) volumeDividersToggle.disabled = isPacking;
+  if (bookDescriptionInput) bookDescriptionInput.disabled = isPacking;
+  Object.values(bookMetadataInputs).forEach((input) => (input.disabled = isPacking));
+  if (volumeSplitSelect) volumeSplitSelect.disabled = isPacking || !!baseEpub;
+  if (volumeSplitChaptersInput) volumeSplitChaptersInput.disabled = isPacking;
+  if (volumeSplitSizeInput) volumeSplitSizeInput.disabled = isPacking;
+  updateVolumeSplitDisplay();
+  if (assetConcurrencyInput) assetConcurrencyInput.disabled = isPacking;
+  if (retryAttemptsInput) retryAttemptsInput.disabled = isPacking;
+  if (retryMaxDelayInput) retryMaxDelayInput.disabled = isPacking;
+  if (clearCacheBtn) clearCacheBtn.disabled = isPacking;
+  if (baseEpubInput) baseEpubInput.disabled = isPacking;
+  if (clearBaseEpubBtn) {
+    clearBaseEpubBtn.disabled = isPacking;
+    clearBaseEpubBtn.style.display = baseEpub ? "inline-block" : "none";
+  }
   if (selectAllBtn) selectAllBtn.disabled = isPacking;
   if (unselectAllBtn) unselectAllBtn.disabled = isPacking;
+  if (selectUnpackedBtn) selectUnpackedBtn.disabled = isPacking;
   if (selectRangeStartChapter)
     selectRangeStartChapter.disabled =
       isPacking || allFetchedPosts.length === 0;
@@ -428,6 +715,15 @@ async function loadPostsPage(offsetToLoad, loadAll = false) {
     selectedPosts = {};
     rangeStartId = "";
     rangeEndId = "";
+
+    // The unfiltered list is cached; show it straight away and only fetch what is new.
+    if (!currentFilter.q && !currentFilter.tag) {
+      const cached = await loadCreatorListing(service, creatorId);
+      if (cached) {
+        await syncCachedListing(cached);
+        return;
+      }
+    }
     
     try {
       const { postCount, creatorName: apiCreatorName } = await fetchCreatorProfile(service, creatorId);
@@ -512,6 +808,7 @@ async function loadPostsPage(offsetToLoad, loadAll = false) {
       console.log(`Range: ${rangeStartId.substring(0,8)}... to ${rangeEndId.substring(0,8)}...`);
     }
 
+    if (!currentFilter.q && !currentFilter.tag) await saveListingToCache();
   } catch (err) {
     error = err.message || "Failed to load posts.";
     atEndOfPosts = true;
@@ -523,6 +820,98 @@ async function loadPostsPage(offsetToLoad, loadAll = false) {
   }
 }
 
+/**
+ * Shows a cached post list, then fetches pages from offset 0 until it reaches a post it already knows.
+ * New posts are prepended; known posts on those pages pick up their new title/edited stamp, which
+ * makes their cached bodies stale.
+ */
+async function syncCachedListing(cached) {
+  allFetchedPosts = cached.stubs;
+  totalAvailablePosts = cached.postCount;
+  totalFetchedOffset = cached.fetchedOffset;
+  atEndOfPosts = cached.atEnd;
+  if (cached.creatorName) creatorName = cached.creatorName;
+  updateRangeFromPosts();
+  isLoadingPosts = true;
+  error = null;
+  updateOverallUIState();
+
+  try {
+    const known = new Map(cached.stubs.map((p) => [p.id, p]));
+    const newPosts = [];
+    let offset = 0;
+    while (true) {
+      const { posts } = await fetchPostListPage(service, creatorId, offset, POSTS_PER_PAGE_FOR_LIST);
+      let reachedKnown = false;
+      for (const post of posts) {
+        if (known.has(post.id)) {
+          known.set(post.id, post);
+          reachedKnown = true;
+        } else {
+          newPosts.push(post);
+        }
+      }
+      if (reachedKnown || posts.length < POSTS_PER_PAGE_FOR_LIST) break;
+      offset += POSTS_PER_PAGE_FOR_LIST;
+    }
+
+    // The cached list is a contiguous run from offset 0, so list position gives each post's page.
+    allFetchedPosts = [...newPosts, ...cached.stubs.map((p) => known.get(p.id))]
+      .sort((a, b) => new Date(b.published).getTime() - new Date(a.published).getTime())
+      .map((p, index) => ({ ...p, originalOffset: Math.floor(index / POSTS_PER_PAGE_FOR_LIST) * POSTS_PER_PAGE_FOR_LIST }));
+    totalAvailablePosts = Math.max(cached.postCount + newPosts.length, allFetchedPosts.length);
+    totalFetchedOffset = Math.floor(allFetchedPosts.length / POSTS_PER_PAGE_FOR_LIST) * POSTS_PER_PAGE_FOR_LIST;
+    updateRangeFromPosts();
+    console.log(`Cache sync: ${newPosts.length} new post(s), ${allFetchedPosts.length} listed.`);
+    await saveListingToCache();
+  } catch (err) {
+    error = `Could not check for new posts (${err.message}); showing the cached list.`;
+    console.error("Error syncing cached post list:", err);
+  } finally {
+    isLoadingPosts = false;
+    updateOverallUIState();
+  }
+}
+
+function updateRangeFromPosts() {
+  if (allFetchedPosts.length > 0) {
+    rangeStartId = allFetchedPosts[allFetchedPosts.length - 1].id;
+    rangeEndId = allFetchedPosts[0].id;
+  }
+}
+
+async function saveListingToCache() {
+  await saveCreatorListing(service, creatorId, {
+    stubs: allFetchedPosts,
+    postCount: totalAvailablePosts,
+    creatorName,
+    fetchedOffset: totalFetchedOffset,
+    atEnd: atEndOfPosts
+  });
+  refreshCacheStats();
+}
+
+async function refreshCacheStats() {
+  if (!cacheStatsSpan) return;
+  try {
+    const { posts, creators, bytes } = await getCacheStats();
+    const size = bytes === null ? "" : `, ${(bytes / (1024 * 1024)).toFixed(1)} MB stored`;
+    cacheStatsSpan.textContent = `${posts} post(s) from ${creators} creator(s)${size}`;
+  } catch (e) {
+    cacheStatsSpan.textContent = "unavailable";
+  }
+}
+
+async function handleClearCache() {
+  if (!confirm("Clear all cached post lists and post contents?")) return;
+  try {
+    await clearPostCache();
+  } catch (e) {
+    console.error("Could not clear post cache:", e);
+  }
+  refreshCacheStats();
+}
+
 function handlePostSelectionChange(postId) {
   selectedPosts[postId] = !selectedPosts[postId];
   isFilenameManuallyEdited = false;
@@ -538,6 +927,26 @@ function handleSelectAllDisplayed() {
   updateOverallUIState();
 }
 
+function handleSelectUnpackedDisplayed() {
+  const newSelection = {};
+  filterPostsForDisplay()
+    .filter((post) => !packedPosts.has(String(post.id)))
+    .forEach((post) => (newSelection[post.id] = true));
+  selectedPosts = newSelection;
+  isFilenameManuallyEdited = false;
+  updateOverallUIState();
+}
+
+async function refreshPackedPosts() {
+  try {
+    packedPosts = await getPackedPosts(service, creatorId);
+  } catch (e) {
+    console.warn("Could not load download history:", e);
+    return;
+  }
+  updateChapterListDisplay();
+}
+
 function handleUnselectAllDisplayed() {
   selectedPosts = {};
   isFilenameManuallyEdited = false;
@@ -588,13 +997,605 @@ function handleRangeSelectInternal(startId, endId, options = {}) {
   }
 }
 
-function handleFilenamePatternChange(event) {
-  selectedFilenamePattern = event.target.value;
+// The select shows a preset, a saved template, or "custom" for any other template.
+// The template field is only filled when the pattern is picked or loaded, never while it is being typed.
+function updateFilenamePatternDisplay(fillTemplateInput = false) {
+  const isPreset = !!FILENAME_PRESETS[selectedFilenamePattern];
+  const saved = savedFilenameTemplates.some((t) => t.template === selectedFilenamePattern);
+  if (filenamePatternSelect) filenamePatternSelect.value = isPreset || saved ? selectedFilenamePattern : "custom";
+  if (filenameTemplateGroup) filenameTemplateGroup.style.display = isPreset ? "none" : "block";
+  if (fillTemplateInput && filenameTemplateInput) filenameTemplateInput.value = isPreset ? "" : selectedFilenamePattern;
+  if (deleteFilenameTemplateBtn) deleteFilenameTemplateBtn.style.display = saved ? "" : "none";
+}
+
+function populateFilenamePatternSelect() {
+  if (!filenamePatternSelect) return;
+  const option = (value, label) => {
+    const el = document.createElement("option");
+    el.value = value;
+    el.textContent = label;
+    return el;
+  };
+  const options = Object.entries(FILENAME_PRESETS).map(([id, preset]) => option(id, preset.label));
+  if (savedFilenameTemplates.length > 0) {
+    const group = document.createElement("optgroup");
+    group.label = "My Templates";
+    group.append(...savedFilenameTemplates.map((t) => option(t.template, t.name)));
+    options.push(group);
+  }
+  options.push(option("custom", "Custom Template..."));
+  filenamePatternSelect.replaceChildren(...options);
+  updateFilenamePatternDisplay();
+}
+
+async function refreshSavedFilenameTemplates() {
+  try {
+    savedFilenameTemplates = await getSavedFilenameTemplates();
+  } catch (err) {
+    console.warn("Could not read saved filename templates:", err);
+  }
+  populateFilenamePatternSelect();
+}
+
+function saveFilenamePattern() {
   localStorage.setItem(FILENAME_PATTERN_STORAGE_KEY, selectedFilenamePattern);
+  saveCurrentCreatorSettings();
+}
+
+function handleFilenamePatternChange(event) {
+  // A new custom template starts out as the pattern selected before.
+  selectedFilenamePattern = event.target.value === "custom"
+    ? resolveFilenameTemplate(selectedFilenamePattern)
+    : event.target.value;
+  saveFilenamePattern();
+  updateFilenamePatternDisplay(true);
+  isFilenameManuallyEdited = false;
+  updateOverallUIState();
+}
+
+function handleFilenameTemplateInput(event) {
+  selectedFilenamePattern = event.target.value.trim();
+  updateFilenamePatternDisplay();
+  isFilenameManuallyEdited = false;
+  updateOverallUIState();
+}
+
+async function handleSaveFilenameTemplate() {
+  const template = selectedFilenamePattern;
+  try {
+    parseFilenameTemplate(template);
+  } catch (err) {
+    if (filenameTemplateMsg) filenameTemplateMsg.textContent = `Not saved: ${err.message}`;
+    return;
+  }
+  if (!template) return;
+  const name = (prompt("Name for this filename template:") || "").trim();
+  if (!name) return;
+  if (savedFilenameTemplates.some((t) => t.name === name) && !confirm(`Replace the saved template "${name}"?`)) return;
+  savedFilenameTemplates = await saveFilenameTemplate(name, template);
+  populateFilenamePatternSelect();
+}
+
+async function handleDeleteFilenameTemplate() {
+  const saved = savedFilenameTemplates.find((t) => t.template === selectedFilenamePattern);
+  if (!saved || !confirm(`Delete the saved template "${saved.name}"? Creators using it keep their copy.`)) return;
+  savedFilenameTemplates = await deleteFilenameTemplate(saved.name);
+  populateFilenamePatternSelect();
+}
+
+function handleDocumentPlacementChange(event) {
+  documentPlacement = event.target.value;
+  localStorage.setItem(DOCUMENT_PLACEMENT_STORAGE_KEY, documentPlacement);
+  saveCurrentCreatorSettings();
+}
+
+const TOC_RULES_HINT = "Patterns are matched against post titles; $1 inserts the first bracketed part.";
+
+function updateTocGroupingDisplay() {
+  if (tocGroupingSelect) tocGroupingSelect.value = tocGrouping.mode;
+  if (tocGroupRulesInput) tocGroupRulesInput.value = tocGrouping.rules;
+  if (volumeDividersToggle) volumeDividersToggle.checked = tocGrouping.dividers;
+  if (tocGroupRulesGroup) tocGroupRulesGroup.style.display = tocGrouping.mode === "custom" ? "block" : "none";
+  if (volumeDividersGroup) volumeDividersGroup.style.display = tocGrouping.mode === "none" ? "none" : "block";
+  if (tocGroupRulesMsg) {
+    const { errors } = parseTocGroupRules(tocGrouping.rules);
+    tocGroupRulesMsg.textContent = errors.length > 0 ? `Skipped: ${errors.join("; ")}` : TOC_RULES_HINT;
+  }
+}
+
+function setVolumeSplitInputs() {
+  if (volumeSplitSelect) volumeSplitSelect.value = volumeSplit.mode;
+  if (volumeSplitChaptersInput) volumeSplitChaptersInput.value = volumeSplit.chapters;
+  if (volumeSplitSizeInput) volumeSplitSizeInput.value = volumeSplit.sizeMb;
+}
+
+function setBookMetadataInputs() {
+  Object.entries(bookMetadataInputs).forEach(([field, input]) => (input.value = bookMetadata[field]));
+}
+
+function handleBookMetadataChange() {
+  const read = (field) => (bookMetadataInputs[field] ? bookMetadataInputs[field].value.trim() : "");
+  const seriesIndex = parseInt(read("seriesIndex"), 10);
+  bookMetadata = {
+    title: read("title"),
+    subtitle: read("subtitle"),
+    author: read("author"),
+    authorFileAs: read("authorFileAs"),
+    series: read("series"),
+    seriesIndex: Math.min(9999, Math.max(1, isNaN(seriesIndex) ? 1 : seriesIndex))
+  };
+  if (bookMetadataInputs.seriesIndex) bookMetadataInputs.seriesIndex.value = bookMetadata.seriesIndex;
+  saveCurrentCreatorSettings();
+  isFilenameManuallyEdited = false;
+  updateOverallUIState();
+}
+
+function handleBookDescriptionChange(event) {
+  bookDescription = event.target.value.trim();
+  saveCurrentCreatorSettings();
+}
+
+function updateVolumeSplitDisplay() {
+  if (volumeSplitChaptersGroup) volumeSplitChaptersGroup.style.display = volumeSplit.mode === "chapters" ? "block" : "none";
+  if (volumeSplitSizeGroup) volumeSplitSizeGroup.style.display = volumeSplit.mode === "size" ? "block" : "none";
+  if (volumeSplitNote) {
+    if (baseEpub) {
+      volumeSplitNote.textContent = "Updating an existing EPUB always produces one book.";
+    } else if (volumeSplit.mode === "groups" && tocGrouping.mode === "none") {
+      volumeSplitNote.textContent = "Choose how chapters are grouped under Table of Contents Groups first.";
+    } else if (volumeSplit.mode !== "none") {
+      volumeSplitNote.textContent = `Saved as "${(fileName || "book.epub").replace(/\.epub$/i, "")} - Volume 1.epub", "… - Volume 2.epub", ... in one series.`;
+    } else {
+      volumeSplitNote.textContent = "";
+    }
+  }
+}
+
+function handleVolumeSplitChange() {
+  const readNumber = (input, min, max, fallback) => {
+    const value = parseInt(input ? input.value : "", 10);
+    return Math.min(max, Math.max(min, isNaN(value) ? fallback : value));
+  };
+  volumeSplit = {
+    mode: volumeSplitSelect ? volumeSplitSelect.value : "none",
+    chapters: readNumber(volumeSplitChaptersInput, 10, 5000, DEFAULT_VOLUME_SPLIT.chapters),
+    sizeMb: readNumber(volumeSplitSizeInput, 5, 2000, DEFAULT_VOLUME_SPLIT.sizeMb)
+  };
+  saveCurrentCreatorSettings();
+  setVolumeSplitInputs();
+  updateVolumeSplitDisplay();
+}
+
+// --- Chapter order ---
+function selectedPostsInBookOrder() {
+  return orderPosts(allFetchedPosts.filter((post) => selectedPosts[post.id]), chapterOrder);
+}
+
+// The editor is only drawn while it is open; long selections are slow to draw on every update.
+function updateChapterOrderEditor() {
+  if (chapterOrderSelect) chapterOrderSelect.value = chapterOrder.mode;
+  const ordered = selectedPostsInBookOrder();
+  if (chapterOrderCountSpan) chapterOrderCountSpan.textContent = String(ordered.length);
+  if (!chapterOrderList || !chapterOrderEditor || !chapterOrderEditor.open) return;
+  chapterOrderList.replaceChildren(...ordered.map((post, index) => {
+    const li = document.createElement("li");
+    li.dataset.postId = String(post.id);
+    li.draggable = !isPacking;
+    li.textContent = `${index + 1}. ${truncateTitle(post.title)}`;
+    return li;
+  }));
+}
+
+function setChapterOrder(order) {
+  chapterOrder = order;
+  saveCurrentCreatorSettings();
+  isFilenameManuallyEdited = false;
+  updateOverallUIState();
+}
+
+// --- Chapter title rules ---
+const TITLE_PREVIEW_SAMPLE = 500;
+
+function setTitleRulesInputs() {
+  if (titleRulesInput) titleRulesInput.value = titleRules.rules;
+  if (titleNumberingInput) titleNumberingInput.value = titleRules.numbering;
+}
+
+function previewItem(text, className = "") {
+  const li = document.createElement("li");
+  li.textContent = text;
+  if (className) li.className = className;
+  return li;
+}
+
+// Examples come from the selection in book order, or the listed posts while nothing is selected.
+function updateTitleRulesPreview() {
+  if (!titleRulesPreview || !titleRulesEditor || !titleRulesEditor.open) return;
+  const selected = selectedPostsInBookOrder();
+  const titles = (selected.length > 0 ? selected : allFetchedPosts)
+    .slice(0, TITLE_PREVIEW_SAMPLE)
+    .map((post) => post.title || "Untitled Post");
+  const { errors } = parseTitleRules(titleRules.rules);
+  const items = previewTitleRules(titleRules.rules, titles).map(({ line, before, after }) =>
+    before === null
+      ? previewItem(`Line ${line}: no listed title changes`, "filter-note")
+      : previewItem(`Line ${line}: ${before} → ${after}`));
+  errors.forEach((error) => items.push(previewItem(`Skipped: ${error}`, "filter-note")));
+  if (titles.length > 0 && (items.length > 0 || titleRules.numbering.trim())) {
+    items.push(previewItem(`First chapter: ${createTitleRewriter(titleRules)(titles[0], 1)}`));
+  }
+  titleRulesPreview.replaceChildren(...items);
+}
+
+// Typing updates the preview and file name; the rules are saved once the field is left.
+function handleTitleRulesInput(event) {
+  titleRules = {
+    rules: titleRulesInput ? titleRulesInput.value : "",
+    numbering: titleNumberingInput ? titleNumberingInput.value.trim() : ""
+  };
+  if (event.type === "change") saveCurrentCreatorSettings();
   isFilenameManuallyEdited = false;
   updateOverallUIState();
 }
 
+// --- Content cleanup rules ---
+const CLEANUP_PREVIEW_LIMIT = 5; // removed paragraphs listed per rule
+
+function setContentCleanupInputs() {
+  if (contentCleanupInput) contentCleanupInput.value = contentCleanup.rules;
+  if (leadingNotesToggle) leadingNotesToggle.checked = contentCleanup.leadingNotes;
+  if (trailingNotesToggle) trailingNotesToggle.checked = contentCleanup.trailingNotes;
+}
+
+function cleanupReportItem({ line, source, removed, error }) {
+  const label = line ? `Line ${line}` : source;
+  if (error) return previewItem(`${label}: ${error}`, "filter-note");
+  if (removed.length === 0) return previewItem(`${label}: removes nothing`, "filter-note");
+  const li = previewItem(`${label}: removes ${removed.length} paragraph(s)`);
+  const list = document.createElement("ul");
+  list.replaceChildren(...removed.slice(0, CLEANUP_PREVIEW_LIMIT).map((text) => previewItem(text)));
+  if (removed.length > CLEANUP_PREVIEW_LIMIT) {
+    list.appendChild(previewItem(`…and ${removed.length - CLEANUP_PREVIEW_LIMIT} more`, "filter-note"));
+  }
+  li.appendChild(list);
+  return li;
+}
+
+function updateContentCleanupPreview() {
+  if (!contentCleanupPreview) return;
+  const items = [];
+  if (cleanupSample) {
+    const { report, errors, text } = previewContentCleanup(contentCleanup, cleanupSample.content);
+    items.push(previewItem(`Sample: ${truncateTitle(cleanupSample.title || "Untitled Post")}`));
+    report.forEach((entry) => items.push(cleanupReportItem(entry)));
+    errors.forEach((error) => items.push(previewItem(`Skipped: ${error}`, "filter-note")));
+    items.push(previewItem(text ? `Now ends: …${text.slice(-80)}` : "The rules leave no text in this post.", "filter-note"));
+  } else {
+    parseContentCleanupRules(contentCleanup.rules).errors
+      .forEach((error) => items.push(previewItem(`Skipped: ${error}`, "filter-note")));
+  }
+  contentCleanupPreview.replaceChildren(...items);
+}
+
+// Typing updates the preview; the rules are saved once the field is left.
+function handleContentCleanupInput(event) {
+  contentCleanup = {
+    rules: contentCleanupInput ? contentCleanupInput.value : "",
+    leadingNotes: !!leadingNotesToggle?.checked,
+    trailingNotes: !!trailingNotesToggle?.checked
+  };
+  if (event.type === "change") saveCurrentCreatorSettings();
+  updateContentCleanupPreview();
+}
+
+async function handleCleanupPreviewClick() {
+  const [sampleStub] = [...selectedPostsInBookOrder(), ...allFetchedPosts];
+  if (!sampleStub || !cleanupPreviewBtn) return;
+  cleanupPreviewBtn.disabled = true;
+  try {
+    cleanupSample = await fetchPostDetail(service, creatorId, sampleStub);
+    updateContentCleanupPreview();
+  } catch (err) {
+    console.warn("Could not fetch the sample post:", err);
+    cleanupSample = null;
+    if (contentCleanupPreview) {
+      contentCleanupPreview.replaceChildren(previewItem(`Could not fetch the sample post: ${err.message}`, "filter-note"));
+    }
+  } finally {
+    updateOverallUIState();
+  }
+}
+
+function handleChapterOrderChange(event) {
+  setChapterOrder({ ...chapterOrder, mode: event.target.value });
+}
+
+function handleChapterOrderDragStart(event) {
+  const li = event.target.closest("li");
+  if (!li || isPacking) return;
+  draggedPostId = li.dataset.postId;
+  event.dataTransfer.effectAllowed = "move";
+  event.dataTransfer.setData("text/plain", draggedPostId);
+  li.classList.add("dragging");
+}
+
+function handleChapterOrderDragOver(event) {
+  if (!draggedPostId) return;
+  event.preventDefault();
+  event.dataTransfer.dropEffect = "move";
+}
+
+// Dropping on the upper half of a chapter puts the dragged one before it, on the lower half after it.
+function handleChapterOrderDrop(event) {
+  event.preventDefault();
+  const movedId = draggedPostId;
+  draggedPostId = null;
+  if (!movedId) return;
+  const ids = selectedPostsInBookOrder().map((post) => String(post.id));
+  const target = event.target.closest("li");
+  let beforeId = null;
+  if (target) {
+    const rect = target.getBoundingClientRect();
+    const below = event.clientY > rect.top + rect.height / 2;
+    beforeId = ids[ids.indexOf(target.dataset.postId) + (below ? 1 : 0)] ?? null;
+  }
+  if (beforeId === movedId) {
+    updateChapterOrderEditor();
+    return;
+  }
+  const arranged = moveInOrder(ids, movedId, beforeId);
+  // Posts arranged earlier but not selected now keep their place after the selection.
+  const arrangedSet = new Set(arranged);
+  const manualIds = [...arranged, ...(chapterOrder.manualIds || []).filter((id) => !arrangedSet.has(id))];
+  setChapterOrder({ mode: "manual", manualIds: manualIds.slice(0, MANUAL_ORDER_LIMIT) });
+}
+
+function handleChapterOrderDragEnd() {
+  draggedPostId = null;
+  if (chapterOrderList) chapterOrderList.querySelectorAll(".dragging").forEach((li) => li.classList.remove("dragging"));
+}
+
+function handleTocGroupingChange() {
+  tocGrouping = {
+    mode: tocGroupingSelect ? tocGroupingSelect.value : "none",
+    rules: tocGroupRulesInput ? tocGroupRulesInput.value : "",
+    dividers: volumeDividersToggle ? volumeDividersToggle.checked : false
+  };
+  saveCurrentCreatorSettings();
+  updateTocGroupingDisplay();
+  updateVolumeSplitDisplay();
+}
+
+// Clamps a number input to [min, max], writes the result back and persists it.
+function readNumberSetting(input, min, max, fallback, storageKey) {
+  const value = parseInt(input.value, 10);
+  const clamped = Math.min(max, Math.max(min, isNaN(value) ? fallback : value));
+  input.value = clamped;
+  localStorage.setItem(storageKey, clamped.toString());
+  return clamped;
+}
+
+function handleAssetConcurrencyChange(event) {
+  assetConcurrency = readNumberSetting(event.target, 1, 8, 3, ASSET_CONCURRENCY_STORAGE_KEY);
+}
+
+function handleRetryAttemptsChange(event) {
+  retryAttempts = readNumberSetting(event.target, 1, 10, 4, RETRY_ATTEMPTS_STORAGE_KEY);
+}
+
+function handleRetryMaxDelayChange(event) {
+  retryMaxDelaySeconds = readNumberSetting(event.target, 1, 300, 30, RETRY_MAX_DELAY_STORAGE_KEY);
+}
+
+// The reply and the broadcast update carry the same state; whichever arrives first is shown.
+async function sendBuildCommand(command) {
+  if (!activeBuild) return;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: "controlBuild", jobId: activeBuild.id, command });
+    if (response && response.build) handleBuildUpdate(response.build);
+  } catch (e) {
+    console.warn(`Could not ${command} the build:`, e);
+  }
+}
+
+function handlePauseBuild() {
+  sendBuildCommand(activeBuild?.status === "paused" ? "resume" : "pause");
+}
+
+function handleStopBuild(savePartial) {
+  sendBuildCommand(savePartial ? "stop" : "cancel");
+}
+
+/**
+ * Loads an earlier book for update mode and selects the listed posts that are missing from it or
+ * were edited since it was made. Unselected chapters of the book are kept as they are.
+ */
+async function handleBaseEpubChange(event) {
+  const file = event.target.files && event.target.files[0];
+  if (!file) return;
+  baseEpub = null;
+  baseEpubInfo = null;
+  try {
+    const info = await readEpubSourceInfo(file);
+    if (!info) throw new Error("This EPUB has no Kemono source metadata; only books made by this extension can be updated.");
+    if (info.source !== `${service}/${creatorId}`) throw new Error(`This EPUB was made from a different creator (${info.source}).`);
+    baseEpub = file;
+    baseEpubInfo = info;
+  } catch (err) {
+    console.error("Could not read EPUB for update:", err);
+    if (baseEpubInfoSpan) baseEpubInfoSpan.textContent = err.message;
+    if (baseEpubInput) baseEpubInput.value = "";
+    updateOverallUIState();
+    return;
+  }
+
+  const versions = new Map(baseEpubInfo.posts.map((p) => [String(p.id), p.version]));
+  let newCount = 0;
+  let editedCount = 0;
+  selectedPosts = {};
+  allFetchedPosts.forEach((post) => {
+    if (!versions.has(post.id)) {
+      newCount++;
+      selectedPosts[post.id] = true;
+    } else if (postVersion(post) && postVersion(post) !== versions.get(post.id)) {
+      editedCount++;
+      selectedPosts[post.id] = true;
+    }
+  });
+  fileName = file.name;
+  isFilenameManuallyEdited = true;
+  if (baseEpubInfoSpan) {
+    baseEpubInfoSpan.textContent = `"${baseEpubInfo.title}" has ${baseEpubInfo.posts.length} chapter(s); ${newCount} new and ${editedCount} edited post(s) selected.`;
+  }
+  updateOverallUIState();
+}
+
+function handleClearBaseEpub() {
+  baseEpub = null;
+  baseEpubInfo = null;
+  if (baseEpubInput) baseEpubInput.value = "";
+  if (baseEpubInfoSpan) baseEpubInfoSpan.textContent = "";
+  updateOverallUIState();
+}
+
+async function handleWatchToggle() {
+  try {
+    if (isCreatorWatched) {
+      await unwatchCreator(service, creatorId);
+    } else {
+      // Posts already listed here count as seen; only later ones will be reported.
+      await watchCreator({ service, creatorId, creatorName, knownPostIds: allFetchedPosts.map((p) => p.id) });
+    }
+  } catch (err) {
+    console.error("Could not update watch list:", err);
+  }
+  await refreshWatchEntry();
+}
+
+async function refreshWatchEntry() {
+  const list = await getWatchList();
+  watchEntry = list[watchKey(service, creatorId)] || null;
+  isCreatorWatched = !!watchEntry;
+  updateOverallUIState();
+}
+
+function updateAutoBuildDisplay() {
+  if (!autoBuildControls) return;
+  autoBuildControls.style.display = watchEntry ? "flex" : "none";
+  if (!watchEntry) return;
+
+  const rule = watchEntry.autoBuild || { mode: "off", minNewPosts: 5 };
+  if (autoBuildModeSelect && document.activeElement !== autoBuildModeSelect) autoBuildModeSelect.value = rule.mode;
+  if (autoBuildCountInput) {
+    if (document.activeElement !== autoBuildCountInput) autoBuildCountInput.value = rule.minNewPosts;
+    autoBuildCountInput.style.display = rule.mode === "count" ? "inline-block" : "none";
+  }
+  if (autoBuildStatusSpan) {
+    const pending = (watchEntry.pendingBuildPosts || []).length;
+    const last = watchEntry.lastAutoBuild;
+    let status = rule.mode === "off" ? "" : `${pending} new post(s) waiting.`;
+    if (last) {
+      const when = new Date(last.at).toLocaleString();
+      status += last.error ? ` Last build failed ${when}: ${last.error}` : ` Last build ${when}: ${last.fileName}`;
+    }
+    autoBuildStatusSpan.textContent = status;
+  }
+}
+
+async function handleAutoBuildRuleChange() {
+  await setAutoBuildRule(service, creatorId, {
+    mode: autoBuildModeSelect.value,
+    minNewPosts: parseInt(autoBuildCountInput.value, 10) || 5
+  });
+  await refreshWatchEntry();
+}
+
+// Auto builds in the background use the filename pattern, cover and filter last used for this creator.
+function saveCurrentCreatorSettings() {
+  if (!service || !creatorId) return;
+  saveCreatorSettings(service, creatorId, {
+    filenamePattern: selectedFilenamePattern,
+    enableCover,
+    coverImageUrl,
+    filter: { ...currentFilter },
+    documentPlacement,
+    tocGrouping,
+    chapterOrder,
+    titleRules,
+    contentCleanup,
+    volumeSplit,
+    description: bookDescription,
+    bookMetadata
+  }).catch((err) => console.warn("Could not save creator settings:", err));
+}
+
+async function applyCreatorSettings() {
+  let settings = {};
+  try {
+    settings = await getCreatorSettings(service, creatorId);
+  } catch (err) {
+    console.warn("Could not read creator settings:", err);
+  }
+  if (settings.filenamePattern) {
+    selectedFilenamePattern = settings.filenamePattern;
+    updateFilenamePatternDisplay(true);
+  }
+  if (typeof settings.enableCover === "boolean") {
+    enableCover = settings.enableCover;
+    if (enableCoverToggle) enableCoverToggle.checked = enableCover;
+    if (coverImageGroup) coverImageGroup.style.display = enableCover ? "block" : "none";
+  }
+  if (enableCover && settings.coverImageUrl) {
+    coverImageUrl = settings.coverImageUrl;
+    sampleCover = coverImageUrl;
+    if (coverImageUrlInput) coverImageUrlInput.value = coverImageUrl;
+  }
+  if (settings.filter) currentFilter = { tag: settings.filter.tag || "", q: settings.filter.q || "" };
+  if (settings.documentPlacement) {
+    documentPlacement = settings.documentPlacement;
+    if (documentPlacementSelect) documentPlacementSelect.value = documentPlacement;
+  }
+  if (settings.tocGrouping) {
+    tocGrouping = { ...DEFAULT_TOC_GROUPING, ...settings.tocGrouping };
+    updateTocGroupingDisplay();
+  }
+  if (settings.chapterOrder) chapterOrder = { ...DEFAULT_CHAPTER_ORDER, ...settings.chapterOrder };
+  if (settings.titleRules) {
+    titleRules = { ...DEFAULT_TITLE_RULES, ...settings.titleRules };
+    setTitleRulesInputs();
+  }
+  if (settings.contentCleanup) {
+    contentCleanup = { ...DEFAULT_CONTENT_CLEANUP, ...settings.contentCleanup };
+    setContentCleanupInputs();
+    updateContentCleanupPreview();
+  }
+  if (settings.bookMetadata) {
+    bookMetadata = { ...DEFAULT_BOOK_METADATA, ...settings.bookMetadata };
+    setBookMetadataInputs();
+  }
+  if (typeof settings.description === "string") {
+    bookDescription = settings.description;
+    if (bookDescriptionInput) bookDescriptionInput.value = bookDescription;
+  }
+  if (settings.volumeSplit) {
+    volumeSplit = { ...DEFAULT_VOLUME_SPLIT, ...settings.volumeSplit };
+    setVolumeSplitInputs();
+  }
+}
+
+function handleWatchIntervalChange(event) {
+  setWatchInterval(parseInt(event.target.value, 10));
+}
+
+// Opened from a new-posts notification: select the reported posts and clear their unread count.
+function selectNotifiedPosts(postIds) {
+  const listed = new Set(allFetchedPosts.map((p) => p.id));
+  postIds.filter((id) => listed.has(id)).forEach((id) => {
+    selectedPosts[id] = true;
+  });
+  updateOverallUIState();
+}
+
 function handleLoadMore() {
   if (!atEndOfPosts && totalFetchedOffset < totalAvailablePosts && !isLoadingMore) {
     loadPostsPage(totalFetchedOffset);
@@ -607,59 +1608,213 @@ function handleLoadAll() {
   }
 }
 
-async function handlePackEpub() {
-  const postsToPackStubs = allFetchedPosts
-    .filter((post) => selectedPosts[post.id])
-    .sort(
-      (a, b) =>
-        new Date(a.published).getTime() - new Date(b.published).getTime()
-    );
+// Selected posts (in reading order) and generator options for the current settings, or null when nothing is selected.
+function collectBuildRequest() {
+  const postsToPackStubs = selectedPostsInBookOrder();
 
   if (postsToPackStubs.length === 0) {
     alert("Please select at least one post to include in the EPUB.");
+    return null;
+  }
+
+  const defaultFileName = `${sanitizeAndTruncate(
+    creatorName || "Unknown",
+    120
+  )}.epub`;
+  const fileNameToUse =
+    fileName && fileName.trim().length > 0 ? fileName : defaultFileName;
+
+  const effectiveCoverUrl = enableCover ? (coverImageUrl || undefined) : undefined;
+
+  const buildOptions = {
+    fileName: fileNameToUse,
+    coverImageUrl: effectiveCoverUrl,
+    customQ: currentFilter.q,
+    tagFilter: currentFilter.tag,
+    documentPlacement,
+    tocGrouping: { ...tocGrouping },
+    // The stubs are already in reading order; the mode still orders the chapters of an updated book.
+    chapterOrder: { mode: chapterOrder.mode },
+    titleRules: { ...titleRules },
+    contentCleanup: { ...contentCleanup },
+    volumeSplit: { ...volumeSplit },
+    description: bookDescription,
+    bookMetadata: { ...bookMetadata, title: bookMetadata.title || suggestBookTitle(creatorName, postsToPackStubs) },
+    assetConcurrency,
+    retryAttempts,
+    retryMaxDelay: retryMaxDelaySeconds * 1000,
+    persistentCache: true,
+    baseEpub
+  };
+  // Stubs are trimmed to what the generator needs so the checkpoint, the job message and the queue stay small.
+  const stubs = postsToPackStubs.map(({ id, title, published, edited, originalOffset }) => ({ id, title, published, edited, originalOffset }));
+  return { stubs, buildOptions };
+}
+
+async function handlePackEpub() {
+  const request = collectBuildRequest();
+  if (!request) return;
+  const { stubs, buildOptions } = request;
+
+  // Starting over replaces the unfinished build offered for resuming.
+  if (unfinishedBuild) await new BuildCheckpoint(unfinishedBuild).discard();
+  // The build host reads the job from its checkpoint, which can also carry the base EPUB file.
+  const buildId = `manual-${service}-${creatorId}-${Date.now()}`;
+  let checkpoint;
+  try {
+    checkpoint = await BuildCheckpoint.start({ buildId, service, creatorId, creatorName, stubs, options: buildOptions });
+  } catch (e) {
+    if (baseEpub) {
+      error = `Could not store the build job: ${e.message}`;
+      updateOverallUIState();
+      return;
+    }
+    console.warn("Build checkpoint unavailable; this build cannot be resumed:", e);
+    await submitBuild({ buildId, stubs, options: { ...buildOptions, baseEpub: null } });
     return;
   }
+  await submitBuild({ buildId, checkpointKey: checkpoint.job.key });
+}
+
+async function handleQueueEpub() {
+  // Update builds need the base EPUB file, which the stored queue cannot hold; the click says so.
+  if (baseEpub) {
+    if (queueMsgSpan) {
+      queueMsgSpan.textContent =
+        `Updating an existing EPUB cannot be queued; use "Update EPUB" above, or "Create a New Book Instead" to queue.`;
+      queueMsgSpan.style.display = "inline";
+    }
+    return;
+  }
+  const request = collectBuildRequest();
+  if (!request) return;
+  try {
+    await addQueueJobs([{
+      service,
+      creatorId,
+      creatorName,
+      source: "creator-tab",
+      stubs: request.stubs,
+      options: { ...request.buildOptions, baseEpub: null }
+    }]);
+    if (queueMsgSpan) queueMsgSpan.textContent = `Added ${request.stubs.length} post(s) to the build queue.`;
+  } catch (e) {
+    console.error("Could not add to the build queue:", e);
+    if (queueMsgSpan) queueMsgSpan.textContent = `Could not add to the build queue: ${e.message}`;
+  }
+  if (queueMsgSpan) queueMsgSpan.style.display = "inline";
+}
+
+async function handleResumeBuild() {
+  if (!unfinishedBuild) return;
+  await submitBuild({ checkpointKey: unfinishedBuild.key });
+}
 
+async function handleDiscardBuild() {
+  if (!unfinishedBuild) return;
+  await new BuildCheckpoint(unfinishedBuild).discard();
+  unfinishedBuild = null;
+  updateOverallUIState();
+}
+
+async function refreshUnfinishedBuild() {
+  unfinishedBuild = service && creatorId ? await findUnfinishedBuild(service, creatorId) : null;
+  updateOverallUIState();
+}
+
+// Hands the job to the background build host; progress arrives through "buildUpdate" messages.
+async function submitBuild({ buildId = `manual-${service}-${creatorId}-${Date.now()}`, stubs, options, checkpointKey = null }) {
   isPacking = true;
   progress = 0;
   progressMessage = "Starting EPUB generation...";
   error = null;
+  unfinishedBuild = null;
   updateOverallUIState();
 
+  const job = {
+    id: buildId,
+    kind: "manual",
+    creatorInfo: { service, creatorId, creatorName },
+    stubs: checkpointKey ? null : stubs,
+    options: checkpointKey ? null : options,
+    checkpointKey
+  };
+  followedBuildId = job.id;
+  submittedBuildIds.add(job.id);
+  let response = null;
   try {
-    const defaultFileName = `${sanitizeAndTruncate(
-      creatorName || "Unknown",
-      120
-    )}.epub`;
-    const fileNameToUse =
-      fileName && fileName.trim().length > 0 ? fileName : defaultFileName;
-
-    const effectiveCoverUrl = enableCover ? (coverImageUrl || undefined) : undefined;
-
-    await generateKemonoEpub(
-      { service, creatorId, creatorName },
-      postsToPackStubs,
-      {
-        fileName: fileNameToUse,
-        coverImageUrl: effectiveCoverUrl,
-        customQ: currentFilter.q,
-        tagFilter: currentFilter.tag
-      },
-      (currentProgress, message) => {
-        progress = currentProgress >= 0 ? currentProgress : progress;
-        progressMessage = message;
-        updateOverallUIState();
-      }
-    );
-    progressMessage = "EPUB generated and download started!";
-  } catch (err) {
-    error = err.message || "Failed to generate EPUB.";
-    console.error("EPUB Packing Error:", err);
-    progressMessage = `Error: ${err.message.substring(0, 50)}...`;
-  } finally {
+    response = await chrome.runtime.sendMessage({ action: "submitBuild", job });
+  } catch (e) {
+    response = { error: e.message };
+  }
+  if (!response || response.error) {
     isPacking = false;
-    if (!error) progress = 100;
+    followedBuildId = null;
+    error = `Could not start the build: ${response ? response.error : "no response from the background page"}`;
+    await refreshUnfinishedBuild();
+    return;
+  }
+  handleBuildUpdate(response.build);
+}
+
+function isFollowedBuild(build) {
+  if (build.id === lastFinishedBuildId) return false;
+  if (followedBuildId) return build.id === followedBuildId;
+  return !FINISHED_BUILD_STATUSES.includes(build.status) &&
+    build.creatorInfo.service === service && build.creatorInfo.creatorId === creatorId;
+}
+
+// Any tab showing the same creator follows its build, including one started from another tab or automatically.
+function handleBuildUpdate(build) {
+  if (!isFollowedBuild(build)) return;
+  // Updates can overtake the reply to a command; an older state never replaces a newer one.
+  if (activeBuild && build.updatedAt < activeBuild.updatedAt) return;
+  progress = build.progress;
+  progressMessage = build.status === "paused" && !build.message.startsWith("Paused")
+    ? `Paused – ${build.message}`
+    : build.message;
+
+  if (!FINISHED_BUILD_STATUSES.includes(build.status)) {
+    activeBuild = build;
+    followedBuildId = build.id;
+    isPacking = true;
     updateOverallUIState();
+    return;
+  }
+
+  activeBuild = null;
+  followedBuildId = null;
+  lastFinishedBuildId = build.id;
+  isPacking = false;
+  if (build.status === "failed") {
+    error = build.error || "Failed to generate EPUB.";
+  } else {
+    progress = 100;
+  }
+  updateOverallUIState();
+  refreshCacheStats();
+  refreshUnfinishedBuild();
+}
+
+// Last resort when the background could not save a build through the downloads API.
+async function saveBuildWithFileSaver(build) {
+  try {
+    const blob = await (await fetch(build.blobUrl)).blob();
+    await saveWithFileSaver(blob, build.fileName, build.creatorInfo);
+    return true;
+  } catch (e) {
+    console.error("FileSaver fallback failed:", e);
+    return false;
+  }
+}
+
+// Picks up a build of this creator that was already running when the tab opened.
+async function followRunningBuild() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: "listBuilds" });
+    (response?.builds || []).forEach(handleBuildUpdate);
+  } catch (e) {
+    console.warn("Could not list background builds:", e);
   }
 }
 
@@ -668,17 +1823,99 @@ function setupUIAndListeners() {
   creatorNameDisplay = document.getElementById("creator-name-display");
   fileNameInput = document.getElementById("fileNameInput");
   filenamePatternSelect = document.getElementById("filenamePatternSelect");
+  filenameTemplateGroup = document.getElementById("filenameTemplateGroup");
+  filenameTemplateInput = document.getElementById("filenameTemplateInput");
+  filenameTemplateMsg = document.getElementById("filenameTemplateMsg");
+  saveFilenameTemplateBtn = document.getElementById("saveFilenameTemplateBtn");
+  deleteFilenameTemplateBtn = document.getElementById("deleteFilenameTemplateBtn");
+  const filenameTemplateFieldList = document.getElementById("filenameTemplateFieldList");
+  if (filenameTemplateFieldList) {
+    filenameTemplateFieldList.replaceChildren(...Object.entries(FILENAME_TEMPLATE_FIELDS).map(([field, description]) => {
+      const li = document.createElement("li");
+      li.textContent = `{${field}} – ${description}`;
+      return li;
+    }));
+  }
+  populateFilenamePatternSelect();
   coverImageUrlInput = document.getElementById("coverImageUrlInput");
   coverPreviewImg = document.getElementById("cover-preview-img");
   enableCoverToggle = document.getElementById("enableCoverToggle");
   coverImageGroup = document.getElementById("coverImageGroup");
+  documentPlacementSelect = document.getElementById("documentPlacementSelect");
+  chapterOrderSelect = document.getElementById("chapterOrderSelect");
+  chapterOrderEditor = document.getElementById("chapterOrderEditor");
+  chapterOrderCountSpan = document.getElementById("chapterOrderCountSpan");
+  chapterOrderList = document.getElementById("chapterOrderList");
+  titleRulesEditor = document.getElementById("titleRulesEditor");
+  titleRulesInput = document.getElementById("titleRulesInput");
+  titleNumberingInput = document.getElementById("titleNumberingInput");
+  titleRulesPreview = document.getElementById("titleRulesPreview");
+  contentCleanupInput = document.getElementById("contentCleanupInput");
+  leadingNotesToggle = document.getElementById("leadingNotesToggle");
+  trailingNotesToggle = document.getElementById("trailingNotesToggle");
+  cleanupPreviewBtn = document.getElementById("cleanupPreviewBtn");
+  contentCleanupPreview = document.getElementById("contentCleanupPreview");
+  tocGroupingSelect = document.getElementById("tocGroupingSelect");
+  tocGroupRulesGroup = document.getElementById("tocGroupRulesGroup");
+  tocGroupRulesInput = document.getElementById("tocGroupRulesInput");
+  tocGroupRulesMsg = document.getElementById("tocGroupRulesMsg");
+  volumeDividersGroup = document.getElementById("volumeDividersGroup");
+  volumeDividersToggle = document.getElementById("volumeDividersToggle");
+  bookDescriptionInput = document.getElementById("bookDescriptionInput");
+  [
+    ["title", "bookTitleInput"],
+    ["subtitle", "bookSubtitleInput"],
+    ["author", "bookAuthorInput"],
+    ["authorFileAs", "bookAuthorFileAsInput"],
+    ["series", "bookSeriesInput"],
+    ["seriesIndex", "bookSeriesIndexInput"]
+  ].forEach(([field, id]) => {
+    const input = document.getElementById(id);
+    if (input) bookMetadataInputs[field] = input;
+  });
+  volumeSplitSelect = document.getElementById("volumeSplitSelect");
+  volumeSplitNote = document.getElementById("volumeSplitNote");
+  volumeSplitChaptersGroup = document.getElementById("volumeSplitChaptersGroup");
+  volumeSplitChaptersInput = document.getElementById("volumeSplitChaptersInput");
+  volumeSplitSizeGroup = document.getElementById("volumeSplitSizeGroup");
+  volumeSplitSizeInput = document.getElementById("volumeSplitSizeInput");
+  assetConcurrencyInput = document.getElementById("assetConcurrencyInput");
+  retryAttemptsInput = document.getElementById("retryAttemptsInput");
+  retryMaxDelayInput = document.getElementById("retryMaxDelayInput");
   packEpubButton = document.getElementById("packEpubButton");
+  queueEpubButton = document.getElementById("queueEpubButton");
+  queueMsgSpan = document.getElementById("queueMsgSpan");
   progressBar = document.getElementById("progressBar");
   progressMsgSpan = document.getElementById("progressMsgSpan");
+  buildControls = document.getElementById("buildControls");
+  pauseBuildBtn = document.getElementById("pauseBuildBtn");
+  stopBuildBtn = document.getElementById("stopBuildBtn");
+  cancelBuildBtn = document.getElementById("cancelBuildBtn");
+  resumeBuildBanner = document.getElementById("resumeBuildBanner");
+  resumeBuildText = document.getElementById("resumeBuildText");
+  resumeBuildBtn = document.getElementById("resumeBuildBtn");
+  discardBuildBtn = document.getElementById("discardBuildBtn");
+  cacheStatsSpan = document.getElementById("cacheStatsSpan");
+  clearCacheBtn = document.getElementById("clearCacheBtn");
+  subfolderTemplateInput = document.getElementById("subfolderTemplateInput");
+  conflictActionSelect = document.getElementById("conflictActionSelect");
+  outputPathPreview = document.getElementById("outputPathPreview");
+  savedFilesList = document.getElementById("savedFilesList");
+  baseEpubInput = document.getElementById("baseEpubInput");
+  watchControls = document.getElementById("watchControls");
+  watchCreatorBtn = document.getElementById("watchCreatorBtn");
+  watchIntervalSelect = document.getElementById("watchIntervalSelect");
+  autoBuildControls = document.getElementById("autoBuildControls");
+  autoBuildModeSelect = document.getElementById("autoBuildModeSelect");
+  autoBuildCountInput = document.getElementById("autoBuildCountInput");
+  autoBuildStatusSpan = document.getElementById("autoBuildStatusSpan");
+  baseEpubInfoSpan = document.getElementById("baseEpubInfoSpan");
+  clearBaseEpubBtn = document.getElementById("clearBaseEpubBtn");
   selectedPostsCountSpan = document.getElementById("selected-posts-count");
   totalPostsCountSpan = document.getElementById("total-posts-count");
   selectAllBtn = document.getElementById("selectAllBtn");
   unselectAllBtn = document.getElementById("unselectAllBtn");
+  selectUnpackedBtn = document.getElementById("selectUnpackedBtn");
   selectRangeStartChapter = document.getElementById("selectRangeStartChapter");
   selectRangeEndChapter = document.getElementById("selectRangeEndChapter");
   chapterListUl = document.getElementById("chapterListUl");
@@ -717,12 +1954,19 @@ function setupUIAndListeners() {
     fileNameInput.addEventListener("input", (e) => {
       fileName = e.target.value;
       isFilenameManuallyEdited = true;
+      updateOutputPathPreview();
     });
   }
 
   if (filenamePatternSelect) {
     filenamePatternSelect.addEventListener("change", handleFilenamePatternChange);
   }
+  if (filenameTemplateInput) {
+    filenameTemplateInput.addEventListener("input", handleFilenameTemplateInput);
+    filenameTemplateInput.addEventListener("change", saveFilenamePattern);
+  }
+  if (saveFilenameTemplateBtn) saveFilenameTemplateBtn.addEventListener("click", handleSaveFilenameTemplate);
+  if (deleteFilenameTemplateBtn) deleteFilenameTemplateBtn.addEventListener("click", handleDeleteFilenameTemplate);
 
   if (coverImageUrlInput) {
     coverImageUrlInput.addEventListener("input", (e) => {
@@ -730,15 +1974,79 @@ function setupUIAndListeners() {
       sampleCover = coverImageUrl;
       updateCoverPreviewDisplay();
     });
+    coverImageUrlInput.addEventListener("change", saveCurrentCreatorSettings);
   }
 
   if (enableCoverToggle) {
     enableCoverToggle.addEventListener("change", handleCoverToggleChange);
   }
 
+  if (chapterOrderSelect) chapterOrderSelect.addEventListener("change", handleChapterOrderChange);
+  if (chapterOrderEditor) chapterOrderEditor.addEventListener("toggle", updateChapterOrderEditor);
+  if (chapterOrderList) {
+    chapterOrderList.addEventListener("dragstart", handleChapterOrderDragStart);
+    chapterOrderList.addEventListener("dragover", handleChapterOrderDragOver);
+    chapterOrderList.addEventListener("drop", handleChapterOrderDrop);
+    chapterOrderList.addEventListener("dragend", handleChapterOrderDragEnd);
+  }
+  if (titleRulesEditor) titleRulesEditor.addEventListener("toggle", updateTitleRulesPreview);
+  [titleRulesInput, titleNumberingInput].forEach((input) => {
+    if (!input) return;
+    input.addEventListener("input", handleTitleRulesInput);
+    input.addEventListener("change", handleTitleRulesInput);
+  });
+  if (contentCleanupInput) {
+    contentCleanupInput.addEventListener("input", handleContentCleanupInput);
+    contentCleanupInput.addEventListener("change", handleContentCleanupInput);
+  }
+  [leadingNotesToggle, trailingNotesToggle].forEach((toggle) => {
+    if (toggle) toggle.addEventListener("change", handleContentCleanupInput);
+  });
+  if (cleanupPreviewBtn) cleanupPreviewBtn.addEventListener("click", handleCleanupPreviewClick);
+  if (tocGroupingSelect) tocGroupingSelect.addEventListener("change", handleTocGroupingChange);
+  if (tocGroupRulesInput) tocGroupRulesInput.addEventListener("change", handleTocGroupingChange);
+  if (volumeDividersToggle) volumeDividersToggle.addEventListener("change", handleTocGroupingChange);
+  if (bookDescriptionInput) bookDescriptionInput.addEventListener("change", handleBookDescriptionChange);
+  Object.values(bookMetadataInputs).forEach((input) => input.addEventListener("change", handleBookMetadataChange));
+  if (volumeSplitSelect) volumeSplitSelect.addEventListener("change", handleVolumeSplitChange);
+  if (volumeSplitChaptersInput) volumeSplitChaptersInput.addEventListener("change", handleVolumeSplitChange);
+  if (volumeSplitSizeInput) volumeSplitSizeInput.addEventListener("change", handleVolumeSplitChange);
+  if (documentPlacementSelect) {
+    documentPlacementSelect.addEventListener("change", handleDocumentPlacementChange);
+  }
+
+  if (assetConcurrencyInput) {
+    assetConcurrencyInput.addEventListener("change", handleAssetConcurrencyChange);
+  }
+  if (retryAttemptsInput) retryAttemptsInput.addEventListener("change", handleRetryAttemptsChange);
+  if (retryMaxDelayInput) retryMaxDelayInput.addEventListener("change", handleRetryMaxDelayChange);
+
   if (packEpubButton) packEpubButton.addEventListener("click", handlePackEpub);
+  if (queueEpubButton) queueEpubButton.addEventListener("click", handleQueueEpub);
+  if (pauseBuildBtn) pauseBuildBtn.addEventListener("click", handlePauseBuild);
+  if (stopBuildBtn) stopBuildBtn.addEventListener("click", () => handleStopBuild(true));
+  if (cancelBuildBtn) cancelBuildBtn.addEventListener("click", () => handleStopBuild(false));
+  if (resumeBuildBtn) resumeBuildBtn.addEventListener("click", handleResumeBuild);
+  if (discardBuildBtn) discardBuildBtn.addEventListener("click", handleDiscardBuild);
+  if (clearCacheBtn) clearCacheBtn.addEventListener("click", handleClearCache);
+  if (subfolderTemplateInput) subfolderTemplateInput.addEventListener("change", handleOutputSettingsChange);
+  if (conflictActionSelect) conflictActionSelect.addEventListener("change", handleOutputSettingsChange);
+  loadOutputSettings();
+  if (baseEpubInput) baseEpubInput.addEventListener("change", handleBaseEpubChange);
+  if (watchCreatorBtn) watchCreatorBtn.addEventListener("click", handleWatchToggle);
+  if (watchIntervalSelect) {
+    getWatchInterval().then((minutes) => {
+      watchIntervalSelect.value = String(minutes);
+    });
+    watchIntervalSelect.addEventListener("change", handleWatchIntervalChange);
+  }
+  if (autoBuildModeSelect) autoBuildModeSelect.addEventListener("change", handleAutoBuildRuleChange);
+  if (autoBuildCountInput) autoBuildCountInput.addEventListener("change", handleAutoBuildRuleChange);
+  if (clearBaseEpubBtn) clearBaseEpubBtn.addEventListener("click", handleClearBaseEpub);
+  refreshCacheStats();
   if (selectAllBtn) selectAllBtn.addEventListener("click", handleSelectAllDisplayed);
   if (unselectAllBtn) unselectAllBtn.addEventListener("click", handleUnselectAllDisplayed);
+  if (selectUnpackedBtn) selectUnpackedBtn.addEventListener("click", handleSelectUnpackedDisplayed);
   if (selectRangeStartChapter) selectRangeStartChapter.addEventListener("change", handleRangeSelect);
   if (selectRangeEndChapter) selectRangeEndChapter.addEventListener("change", handleRangeSelect);
   if (loadMoreBtn) loadMoreBtn.addEventListener("click", handleLoadMore);
@@ -750,13 +2058,8 @@ function setupUIAndListeners() {
 
   // Restore saved filename pattern
   const savedPattern = localStorage.getItem(FILENAME_PATTERN_STORAGE_KEY);
-  if (savedPattern) {
-    selectedFilenamePattern = savedPattern;
-    if (filenamePatternSelect) filenamePatternSelect.value = selectedFilenamePattern;
-  } else {
-    selectedFilenamePattern = "titles_only";
-    if (filenamePatternSelect) filenamePatternSelect.value = selectedFilenamePattern;
-  }
+  selectedFilenamePattern = savedPattern || "titles_only";
+  updateFilenamePatternDisplay(true);
 
   // Restore cover toggle state from localStorage (default true)
   const savedCoverEnabled = localStorage.getItem(COVER_ENABLED_STORAGE_KEY);
@@ -764,6 +2067,20 @@ function setupUIAndListeners() {
   if (enableCoverToggle) enableCoverToggle.checked = enableCover;
   if (coverImageGroup) coverImageGroup.style.display = enableCover ? "block" : "none";
 
+  // Restore document attachment placement (default auto)
+  documentPlacement = localStorage.getItem(DOCUMENT_PLACEMENT_STORAGE_KEY) || "auto";
+  if (documentPlacementSelect) documentPlacementSelect.value = documentPlacement;
+
+  // Restore parallel asset downloads per host (default 3)
+  assetConcurrency = parseInt(localStorage.getItem(ASSET_CONCURRENCY_STORAGE_KEY), 10) || 3;
+  if (assetConcurrencyInput) assetConcurrencyInput.value = assetConcurrency;
+
+  // Restore retry policy (default 4 attempts, 30s maximum delay)
+  retryAttempts = parseInt(localStorage.getItem(RETRY_ATTEMPTS_STORAGE_KEY), 10) || 4;
+  retryMaxDelaySeconds = parseInt(localStorage.getItem(RETRY_MAX_DELAY_STORAGE_KEY), 10) || 30;
+  if (retryAttemptsInput) retryAttemptsInput.value = retryAttempts;
+  if (retryMaxDelayInput) retryMaxDelayInput.value = retryMaxDelaySeconds;
+
   // Pre-fill filename with creatorName if available
   if (!fileName && !isFilenameManuallyEdited && creatorName) {
     fileName = `${sanitizeAndTruncate(creatorName, 120)}.epub`;
@@ -782,6 +2099,9 @@ document.addEventListener("DOMContentLoaded", async () => {
   creatorId = queryParams.id || "";
   creatorName = queryParams.name || "";
 
+  await refreshSavedFilenameTemplates();
+  if (service && creatorId) await applyCreatorSettings();
+
   if (enableCover && !coverImageUrl) {
     coverImageUrl = `${KEMONO_IMG_BASE_URL_DEFAULT_ICON}/icons/${service}/${creatorId}`;
     sampleCover = coverImageUrl;
@@ -790,8 +2110,30 @@ document.addEventListener("DOMContentLoaded", async () => {
   }
 
   if (service && creatorId) {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.action === "buildUpdate") handleBuildUpdate(message.build);
+      if (message.action === "saveBuildFallback" && submittedBuildIds.has(message.build.id)) {
+        saveBuildWithFileSaver(message.build).then((saved) => sendResponse({ saved }));
+        return true;
+      }
+    });
+    await followRunningBuild();
+    refreshUnfinishedBuild();
+    refreshWatchEntry();
+    refreshSavedFiles();
+    refreshPackedPosts();
+    // Background checks, builds and finished downloads update these while this tab is open.
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local") return;
+      if (changes[WATCH_LIST_STORAGE_KEY]) refreshWatchEntry();
+      if (changes[SAVED_FILES_STORAGE_KEY]) refreshSavedFiles();
+      if (changes[DOWNLOAD_HISTORY_STORAGE_KEY]) refreshPackedPosts();
+      if (changes[FILENAME_TEMPLATES_STORAGE_KEY]) refreshSavedFilenameTemplates();
+    });
     await loadTagsAndPopulateDropdown();
     await loadPostsPage(0);
+    if (queryParams.select) selectNotifiedPosts(queryParams.select.split(","));
+    markCreatorSeen(service, creatorId);
   } else {
     // If opened via icon click without parameters, or error
     if (!service && !creatorId) {
@@ -0,0 +1,93 @@
+// titleRules.js
+// Per-creator rules that clean up post titles ("[Patreon Early Access]", "(NSFW)", a story name repeated in every
+// title) before they become chapter headings, table of contents entries and file names.
+
+export const DEFAULT_TITLE_RULES = { rules: "", numbering: "" };
+
+// Left over at the edge of a title once a prefix or suffix is gone ("My Story - Ch. 5" -> "Ch. 5").
+const EDGE_SEPARATORS = "[\\s:|–—·•,-]*";
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Parses one rule per line:
+ *   prefix: text          removes text at the start of a title (ignoring case)
+ *   suffix: text          removes text at the end of a title
+ *   pattern => replacement replaces a case-insensitive regular expression everywhere in the title; $1..$9 insert
+ *                         capture groups and an empty replacement (or no "=>") deletes the match
+ * Blank lines and lines starting with # are skipped.
+ * @returns {{ rules: Array<{line: number, source: string, pattern: RegExp, replacement: string}>, errors: string[] }}
+ */
+export function parseTitleRules(text) {
+  const rules = [];
+  const errors = [];
+  (text || "").split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    const affix = trimmed.match(/^(prefix|suffix):\s*(.+)$/i);
+    if (affix) {
+      const literal = escapeRegex(affix[2].trim());
+      const pattern = affix[1].toLowerCase() === "prefix"
+        ? new RegExp(`^\\s*${literal}${EDGE_SEPARATORS}`, "i")
+        : new RegExp(`${EDGE_SEPARATORS}${literal}\\s*$`, "i");
+      rules.push({ line: index + 1, source: trimmed, pattern, replacement: "" });
+      return;
+    }
+    const separator = trimmed.lastIndexOf("=>");
+    const source = (separator === -1 ? trimmed : trimmed.substring(0, separator)).trim();
+    const replacement = separator === -1 ? "" : trimmed.substring(separator + 2).trim();
+    try {
+      rules.push({ line: index + 1, source: trimmed, pattern: new RegExp(source, "gi"), replacement });
+    } catch (e) {
+      errors.push(`Line ${index + 1}: ${e.message}`);
+    }
+  });
+  return { rules, errors };
+}
+
+function applyRule(title, rule) {
+  return title.replace(rule.pattern, rule.replacement).replace(/\s{2,}/g, " ").trim();
+}
+
+/**
+ * Rewrites one title with parsed rules, then the numbering template ("Chapter {n}: {title}").
+ * A title the rules would leave empty is kept as it was.
+ * @param {number} n - The chapter's position in the book, from 1.
+ */
+export function rewriteTitle(title, rules, numbering, n) {
+  const original = (title || "").trim();
+  const cleaned = rules.reduce(applyRule, original) || original;
+  if (!numbering || !numbering.trim()) return cleaned;
+  return numbering.replace(/\{n\}/g, String(n)).replace(/\{title\}/g, cleaned).trim() || cleaned;
+}
+
+/**
+ * @param {object} [titleRules] - { rules: rule text (see parseTitleRules), numbering: template or "" }
+ * @returns {Function} (title, n) -> rewritten title; titles pass through unchanged when there is nothing to do.
+ */
+export function createTitleRewriter(titleRules) {
+  const { rules } = parseTitleRules(titleRules?.rules);
+  const numbering = titleRules?.numbering || "";
+  if (rules.length === 0 && !numbering.trim()) return (title) => (title || "").trim();
+  return (title, n = 1) => rewriteTitle(title, rules, numbering, n);
+}
+
+/**
+ * Before/after examples for each rule: the first of `titles` the rule changes (after the rules above it).
+ * @returns {Array<{line, source, before: string|null, after: string|null}>} before/after are null when no title changes.
+ */
+export function previewTitleRules(ruleText, titles) {
+  const { rules } = parseTitleRules(ruleText);
+  const current = titles.map(title => (title || "").trim());
+  return rules.map(rule => {
+    let example = null;
+    current.forEach((title, i) => {
+      const after = applyRule(title, rule) || title;
+      if (!example && after !== title) example = { before: title, after };
+      current[i] = after;
+    });
+    return { line: rule.line, source: rule.source, before: example?.before ?? null, after: example?.after ?? null };
+  });
+}
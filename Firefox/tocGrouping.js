@@ -0,0 +1,61 @@
+// tocGrouping.js
+// Groups consecutive chapters under book/volume entries in the table of contents, either from "Book N"-style
+// markers in post titles or from the user's own rules.
+
+import { extractBookNumber } from "./filenameGenerator.js";
+
+export const TOC_GROUPING_MODES = ["none", "auto", "custom"];
+export const DEFAULT_TOC_GROUPING = { mode: "none", rules: "", dividers: false };
+
+/**
+ * Parses one rule per line: `pattern => label`. The pattern is a case-insensitive regular expression tested
+ * against post titles; the label may use $1..$9 for capture groups and defaults to the matched text.
+ * Blank lines and lines starting with # are skipped.
+ * @returns {{ rules: Array<{pattern: RegExp, label: string}>, errors: string[] }}
+ */
+export function parseTocGroupRules(text) {
+  const rules = [];
+  const errors = [];
+  (text || "").split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    const separator = trimmed.lastIndexOf("=>");
+    const source = (separator === -1 ? trimmed : trimmed.substring(0, separator)).trim();
+    const label = separator === -1 ? "" : trimmed.substring(separator + 2).trim();
+    try {
+      rules.push({ pattern: new RegExp(source, "i"), label });
+    } catch (e) {
+      errors.push(`Line ${index + 1}: ${e.message}`);
+    }
+  });
+  return { rules, errors };
+}
+
+/**
+ * @param {object} grouping - { mode: "none"|"auto"|"custom", rules: rule text for "custom", dividers }
+ * @returns {Function|null} title -> group label, or null for a chapter outside any group; null when grouping is off.
+ */
+export function createTocGrouper(grouping) {
+  const mode = grouping?.mode || "none";
+  if (mode === "auto") {
+    return (title) => {
+      const book = extractBookNumber(title);
+      return book ? `Book ${Number(book)}` : null;
+    };
+  }
+  if (mode === "custom") {
+    const { rules, errors } = parseTocGroupRules(grouping.rules);
+    if (errors.length > 0) console.warn("Invalid TOC grouping rules skipped:", errors);
+    if (rules.length === 0) return null;
+    return (title) => {
+      for (const { pattern, label } of rules) {
+        const match = (title || "").match(pattern);
+        if (!match) continue;
+        const text = label ? label.replace(/\$(\d)/g, (_, n) => match[n] || "") : match[0];
+        return text.trim() || null;
+      }
+      return null;
+    };
+  }
+  return null;
+}
@@ -0,0 +1,160 @@
+// watchList.js
+// Watched creators, kept in chrome.storage.local so the background worker and the UI pages share them.
+
+export const WATCH_LIST_STORAGE_KEY = "kemonoEpubWatchList";
+export const WATCH_INTERVAL_STORAGE_KEY = "kemonoEpubWatchIntervalMinutes";
+export const DEFAULT_WATCH_INTERVAL_MINUTES = 60;
+
+// Newest post IDs remembered per creator; a check reads list pages only until it reaches one of them, so this is plenty.
+const KNOWN_POST_IDS_LIMIT = 200;
+
+export const AUTO_BUILD_MODES = ["off", "count", "weekly"];
+export const DEFAULT_AUTO_BUILD_RULE = { mode: "off", minNewPosts: 5 };
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+// A build that never reported back (browser closed mid-build) stops blocking new ones after this long.
+const AUTO_BUILD_STALE_MS = 6 * 60 * 60 * 1000;
+
+export function watchKey(service, creatorId) {
+  return `${service}/${creatorId}`;
+}
+
+/**
+ * @returns {Promise<object>} { "service/creatorId": { service, creatorId, creatorName, knownPostIds: string[]|null,
+ *   unreadPostIds: string[], addedAt, lastCheckedAt, autoBuild: {mode, minNewPosts, enabledAt},
+ *   pendingBuildPosts: stubs not yet auto-built, autoBuildStartedAt, lastAutoBuild: {at, fileName, postCount, error} } }.
+ *   knownPostIds is null until the first check has run.
+ */
+export async function getWatchList() {
+  const data = await chrome.storage.local.get(WATCH_LIST_STORAGE_KEY);
+  return data[WATCH_LIST_STORAGE_KEY] || {};
+}
+
+function saveWatchList(list) {
+  return chrome.storage.local.set({ [WATCH_LIST_STORAGE_KEY]: list });
+}
+
+export async function isWatched(service, creatorId) {
+  const list = await getWatchList();
+  return !!list[watchKey(service, creatorId)];
+}
+
+// knownPostIds: posts the user has already seen; without them the first check only records the current posts.
+export async function watchCreator({ service, creatorId, creatorName, knownPostIds = null }) {
+  const list = await getWatchList();
+  const key = watchKey(service, creatorId);
+  list[key] = {
+    service,
+    creatorId,
+    creatorName: creatorName || list[key]?.creatorName || "",
+    knownPostIds: knownPostIds ? knownPostIds.slice(0, KNOWN_POST_IDS_LIMIT) : null,
+    unreadPostIds: [],
+    addedAt: Date.now(),
+    lastCheckedAt: null,
+    autoBuild: { ...DEFAULT_AUTO_BUILD_RULE },
+    pendingBuildPosts: [],
+    autoBuildStartedAt: null,
+    lastAutoBuild: null
+  };
+  await saveWatchList(list);
+}
+
+export async function unwatchCreator(service, creatorId) {
+  const list = await getWatchList();
+  delete list[watchKey(service, creatorId)];
+  await saveWatchList(list);
+}
+
+export async function markCreatorSeen(service, creatorId) {
+  const list = await getWatchList();
+  const entry = list[watchKey(service, creatorId)];
+  if (!entry || entry.unreadPostIds.length === 0) return;
+  entry.unreadPostIds = [];
+  await saveWatchList(list);
+}
+
+/**
+ * Records the listed posts of a watched creator and returns the ones that are new since the last check.
+ * @param {Array<{id: string, title: string}>} posts - Newest first, from the list pages read down to a known post.
+ */
+export async function recordCheckResult(service, creatorId, posts) {
+  const list = await getWatchList();
+  const entry = list[watchKey(service, creatorId)];
+  if (!entry) return [];
+
+  const seeding = !Array.isArray(entry.knownPostIds);
+  const known = new Set(entry.knownPostIds || []);
+  const newPosts = seeding ? [] : posts.filter(p => !known.has(p.id));
+  const listedIds = new Set(posts.map(p => p.id));
+
+  entry.knownPostIds = [...listedIds, ...(entry.knownPostIds || []).filter(id => !listedIds.has(id))]
+    .slice(0, KNOWN_POST_IDS_LIMIT);
+  entry.unreadPostIds = [...entry.unreadPostIds, ...newPosts.map(p => p.id)];
+  if (entry.autoBuild && entry.autoBuild.mode !== "off") {
+    const pending = new Set(entry.pendingBuildPosts.map(p => p.id));
+    newPosts.filter(p => !pending.has(p.id)).forEach(({ id, title, published, edited }) => {
+      entry.pendingBuildPosts.push({ id, title, published, edited });
+    });
+  }
+  entry.lastCheckedAt = Date.now();
+  await saveWatchList(list);
+  return newPosts;
+}
+
+// --- AUTO BUILDS ---
+
+export async function setAutoBuildRule(service, creatorId, { mode, minNewPosts }) {
+  const list = await getWatchList();
+  const entry = list[watchKey(service, creatorId)];
+  if (!entry) return;
+  entry.autoBuild = {
+    mode: AUTO_BUILD_MODES.includes(mode) ? mode : "off",
+    minNewPosts: Math.max(1, minNewPosts || DEFAULT_AUTO_BUILD_RULE.minNewPosts),
+    enabledAt: entry.autoBuild?.mode === mode ? entry.autoBuild.enabledAt : Date.now()
+  };
+  if (entry.autoBuild.mode === "off" || !entry.pendingBuildPosts) entry.pendingBuildPosts = [];
+  await saveWatchList(list);
+}
+
+// "count": once minNewPosts posts are pending; "weekly": a week after the last build (or enabling the rule).
+export function isAutoBuildDue(entry, now = Date.now()) {
+  const rule = entry.autoBuild;
+  if (!rule || rule.mode === "off" || !entry.pendingBuildPosts || entry.pendingBuildPosts.length === 0) return false;
+  if (entry.autoBuildStartedAt && now - entry.autoBuildStartedAt < AUTO_BUILD_STALE_MS) return false;
+  if (rule.mode === "count") return entry.pendingBuildPosts.length >= rule.minNewPosts;
+  return now - (entry.lastAutoBuild?.at || rule.enabledAt || 0) >= WEEK_MS;
+}
+
+export async function markAutoBuildStarted(service, creatorId) {
+  const list = await getWatchList();
+  const entry = list[watchKey(service, creatorId)];
+  if (!entry) return;
+  entry.autoBuildStartedAt = Date.now();
+  await saveWatchList(list);
+}
+
+// On success the built posts leave the pending list; on failure they stay for the next attempt.
+export async function finishAutoBuild(service, creatorId, { postIds, fileName = "", error = null }) {
+  const list = await getWatchList();
+  const entry = list[watchKey(service, creatorId)];
+  if (!entry) return;
+  if (!error) {
+    const built = new Set(postIds);
+    entry.pendingBuildPosts = entry.pendingBuildPosts.filter(p => !built.has(p.id));
+  }
+  entry.autoBuildStartedAt = null;
+  entry.lastAutoBuild = { at: Date.now(), fileName, postCount: postIds.length, error };
+  await saveWatchList(list);
+}
+
+export function countUnread(list) {
+  return Object.values(list).reduce((sum, entry) => sum + entry.unreadPostIds.length, 0);
+}
+
+export async function getWatchInterval() {
+  const data = await chrome.storage.local.get(WATCH_INTERVAL_STORAGE_KEY);
+  return data[WATCH_INTERVAL_STORAGE_KEY] || DEFAULT_WATCH_INTERVAL_MINUTES;
+}
+
+export function setWatchInterval(minutes) {
+  return chrome.storage.local.set({ [WATCH_INTERVAL_STORAGE_KEY]: minutes });
+}